@@ -1,7 +1,9 @@
 import express from 'express';
-import Database from 'better-sqlite3';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
+import runQuery from './queryRunner.js';
+import vendorLibraries from './vendor.js';
 
 // Port to start the web server on
 const port = 3005
@@ -12,6 +14,17 @@ const app = express();
 // Serve the files in the main folder
 app.use(express.static(path.join(import.meta.dirname, '..')));
 
+// Serve the frontend libraries from node_modules, as /vendor/<name>
+// (so that the site works without internet, see vendor.js)
+for (let { name, folder, files } of vendorLibraries) {
+  let serve = express.static(path.join(import.meta.dirname, '..', folder));
+  app.use('/vendor/' + name, files ?
+    (req, res, next) => files.includes(req.path.slice(1)) ? serve(req, res, next) : next() : serve);
+}
+
+// Parse json request bodies
+app.use(express.json({ limit: '1mb' }));
+
 // Start the web server
 app.listen(port, () => console.log(`Listening on http://localhost:${port}`));
 
@@ -26,35 +39,222 @@ app.get('/api/reload-if-closes', (_req, res) => {
 });
 
 // Read settings for which SQLite-database to use
+// (the active database - can be switched at runtime, see /api/databases)
 let dbFolder = path.join(import.meta.dirname, '..', 'sqlite-databases');
 let databaseToUse = fs.readFileSync(path.join(dbFolder, 'database-in-use.json'), 'utf-8').slice(1, -1);
-databaseToUse = path.join(path.join(dbFolder, databaseToUse));
-// databse connection
-let db;
-if (fs.existsSync(databaseToUse)) {
-  db = new Database(databaseToUse);
+
+// list the databases in the database folder
+// (name = file name without extension)
+function listDatabases() {
+  return fs.readdirSync(dbFolder)
+    .filter(file => /\.(db|sqlite3?)$/i.test(file))
+    .map(file => ({ name: file.replace(/\.[^.]+$/, ''), file }));
+}
+
+// the path to a database by name (or by file name),
+// the active database if no name is given
+// - undefined if there is no database with that name
+function databasePath(name) {
+  if (!name) { return path.join(dbFolder, databaseToUse); }
+  let found = listDatabases().find(x => x.name === name || x.file === name);
+  return found && path.join(dbFolder, found.file);
+}
+
+function unknownDatabase(res, name) {
+  res.status(404).json({ error: `No database named ${name}!`, code: 'UNKNOWN_DATABASE', position: null });
+}
+
+// pass errors thrown by an async route handler on to express
+// (express 4 does not catch rejected promises itself)
+const asyncRoute = handler => (req, res, next) => handler(req, res, next).catch(next);
+
+// route that lists the databases and which one is active
+app.get('/api/databases', (_req, res) => {
+  res.json(listDatabases().map(({ name, file }) => ({
+    name, file, active: file === databaseToUse,
+    size: fs.statSync(path.join(dbFolder, file)).size
+  })));
+});
+
+// route that switches the active database
+// expects a json body: { name }
+// (until the server restarts - database-in-use.json is not changed)
+app.post('/api/databases/active', (req, res) => {
+  let { name } = req.body || {};
+  let database = databasePath(name);
+  if (!name || !database) {
+    unknownDatabase(res, name);
+    return;
+  }
+  databaseToUse = path.basename(database);
+  res.json({ name, file: databaseToUse, active: true });
+});
+
+// Cache of query results (least recently used are evicted first)
+// keyed by normalized sql, params, row limit and the database file's mtime,
+// so changing the database invalidates the cache automatically
+const cacheMaxBytes = 50 * 1024 * 1024;
+const cache = new Map();
+let cacheBytes = 0;
+
+// collapse whitespace outside of quoted strings/identifiers
+function normalizeSql(sql) {
+  return (sql + '').trim().match(/'(?:[^']|'')*'|"(?:[^"]|"")*"|`[^`]*`|\[[^\]]*\]|\s+|[^'"`[\s]+|./g)
+    ?.map(x => /^\s/.test(x) ? ' ' : x).join('') || '';
+}
+
+// the modification time of the database
+// (including its write-ahead log if it has one)
+function databaseMtime(database) {
+  return [database, database + '-wal']
+    .map(file => fs.existsSync(file) ? fs.statSync(file).mtimeMs : 0).join('-');
+}
+
+function cacheKey({ database, sql, params, maxRows }) {
+  return JSON.stringify([normalizeSql(sql), params ?? null, maxRows ?? null, database, databaseMtime(database)]);
+}
+
+function cacheGet(key) {
+  let hit = cache.get(key);
+  // move to the end = most recently used
+  hit && cache.delete(key) && cache.set(key, hit);
+  return hit;
+}
+
+function cacheSet(key, value) {
+  cache.set(key, value);
+  cacheBytes += value.json.length;
+  for (let [oldKey, { json }] of cache) {
+    if (cacheBytes <= cacheMaxBytes) { break; }
+    cache.delete(oldKey);
+    cacheBytes -= json.length;
+  }
 }
 
-// route for database query (SELECT:s only)
-app.get('/api/dbquery/:select', (req, res) => {
-  let select = req.params.select.trim();
-  if (!db) {
-    res.json([{ error: 'No database connected!' }]);
+// run a query through the cache, reply with json
+// - sends an ETag and replies 304 Not Modified to a matching If-None-Match
+async function cachedQuery(req, res, query) {
+  let key = cacheKey(query);
+  let etag = '"' + crypto.createHash('sha1').update(key).digest('base64url') + '"';
+  res.set({ 'ETag': etag, 'Cache-control': 'no-cache' });
+  if (req.get('If-None-Match') === etag) {
+    res.status(304).end();
     return;
   }
-  if ((select + '').toLowerCase().indexOf('select ') !== 0) {
-    res.json([{ error: 'Only SELECT queries can be run!' }]);
+  let hit = cacheGet(key);
+  if (!hit) {
+    let { status, body, truncated } = await runQuery(query);
+    if (status !== 200) {
+      res.removeHeader('ETag');
+      res.status(status).json(body);
+      return;
+    }
+    cacheSet(key, hit = { json: JSON.stringify(body), truncated });
+  }
+  hit.truncated && res.set('X-Row-Limit-Reached', 'true');
+  res.type('json').send(hit.json);
+}
+
+// route for database query (read-only queries only)
+app.get('/api/dbquery/:select', asyncRoute((req, res) =>
+  cachedQuery(req, res, { database: databasePath(), sql: req.params.select })
+));
+
+// route for parameterized database query (read-only queries only)
+// expects a json body: { sql, params, db, maxRows, timeout, stream }
+// - db is the name of the database to use (the active one if not set)
+// - maxRows and timeout (ms) can lower the server defaults
+// - stream: true sends the rows as NDJSON, one json object per line:
+//   {"type":"row","row":{...}} for each row, ending with
+//   {"type":"end","rowCount":n,"truncated":false} or {"type":"error","error":{...}}
+//   (streamed results are not cached, and the query is cancelled
+//    if the client closes the connection)
+app.post('/api/dbquery', asyncRoute(async (req, res) => {
+  let { sql, params, db, maxRows, timeout, stream } = req.body || {};
+  let query = { database: databasePath(db), sql, params, maxRows, timeout };
+  if (!query.database) {
+    unknownDatabase(res, db);
     return;
   }
-  let result;
-  try {
-    result = db.prepare(select).all()
+  if (!stream) {
+    await cachedQuery(req, res, query);
+    return;
   }
-  catch (e) {
-    result = [{ error: e + '' }]
+  let started = false;
+  const start = () => !started && (started = true) && res.status(200).set({
+    'Content-Type': 'application/x-ndjson',
+    'Cache-control': 'no-cache'
+  });
+  let closed = new AbortController();
+  res.on('close', () => !res.writableFinished && closed.abort());
+  let { status, body, rowCount, truncated } = await runQuery({
+    ...query,
+    signal: closed.signal,
+    onRows: rows => {
+      start();
+      // wait for the client to catch up before reading more rows
+      return res.write(rows.map(row => JSON.stringify({ type: 'row', row }) + '\n').join('')) ||
+        new Promise(resolve => res.once('drain', resolve));
+    }
+  });
+  if (closed.signal.aborted) { return; }
+  if (!started && status !== 200) {
+    res.status(status).json(body);
+    return;
   }
-  res.json(result);
-});
+  start();
+  res.end(JSON.stringify(status === 200 ?
+    { type: 'end', rowCount, truncated } : { type: 'error', error: body }) + '\n');
+}));
+
+// route that describes the tables of a database (?db=name, default active)
+// - columns with declared types (from PRAGMA table_info),
+//   row counts and the number of distinct (non null) values per column
+app.get('/api/schema', asyncRoute(async (req, res) => {
+  let database = databasePath(req.query.db);
+  if (!database) {
+    unknownDatabase(res, req.query.db);
+    return;
+  }
+  let quote = name => '"' + name.replaceAll('"', '""') + '"';
+  let tables = await runQuery({
+    database,
+    sql: `SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name`
+  });
+  if (tables.status !== 200) {
+    res.status(tables.status).json(tables.body);
+    return;
+  }
+  let schema = [];
+  for (let { name } of tables.body) {
+    let columns = await runQuery({
+      database, sql: 'SELECT * FROM pragma_table_info(?) ORDER BY cid', params: [name]
+    });
+    if (columns.status !== 200) {
+      res.status(columns.status).json(columns.body);
+      return;
+    }
+    let counts = await runQuery({
+      database,
+      sql: `SELECT COUNT(*) AS rowCount` +
+        columns.body.map(({ name }, i) => `, COUNT(DISTINCT ${quote(name)}) AS c${i}`).join('') +
+        ` FROM ${quote(name)}`
+    });
+    if (counts.status !== 200) {
+      res.status(counts.status).json(counts.body);
+      return;
+    }
+    schema.push({
+      name,
+      rowCount: counts.body[0].rowCount,
+      columns: columns.body.map(({ name, type, notnull, dflt_value, pk }, i) => ({
+        name, type, notNull: !!notnull, defaultValue: dflt_value, primaryKey: !!pk,
+        distinctCount: counts.body[0]['c' + i]
+      }))
+    });
+  }
+  res.json(schema);
+}));
 
 // app get script to start with
 // check for scripts in this order
@@ -75,6 +275,13 @@ app.get('/api/getMainScript', (_req, res) => {
   );
 });
 
+// the whole analysis as one printable document
+// (index.html with a meta tag that makes createMenu run the report, see report.js)
+app.get('/report', (_req, res) => {
+  let html = fs.readFileSync(path.join(import.meta.dirname, '..', 'index.html'), 'utf-8');
+  res.send(html.replace('<head>', '<head>\n  <meta name="report-mode" content="true">'));
+});
+
 app.get('/api/chartSettings', (_req, res) => {
   res.sendFile()
 });
\ No newline at end of file
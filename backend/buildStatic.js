@@ -0,0 +1,151 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { JSDOM } from 'jsdom';
+import { marked } from 'marked';
+import { snapshotKey } from '../js/libs/staticMode.js';
+import vendorLibraries from './vendor.js';
+
+// Build a static version of the site, that can be hosted without the backend
+// usage: npm run build-static -- [outputFolder]   (default: dist)
+//
+// Starts the backend, runs every page in the menu (in jsdom) and saves
+// the result of each dbQuery as a snapshot: snapshots/<key>.json
+// (see staticMode.js - dbQuery reads them when the page has the static-mode meta tag)
+// - each dropdown on a page is also tried with all its choices,
+//   so that the queries they make are saved too
+// - queries without a snapshot are run in the browser on a copy of the database
+// - the filter bar and the database dropdown are left out of the static site
+
+let root = path.join(import.meta.dirname, '..');
+let outputFolder = path.resolve(process.argv[2] || path.join(root, 'dist'));
+if (!path.relative(outputFolder, root).startsWith('..')) {
+  console.error(`Build failed: ${outputFolder} would replace the project folder`);
+  process.exit(1);
+}
+
+// start the backend (it listens on port 3005)
+let base = 'http://localhost:3005';
+await import('./app.js');
+for (let tries = 0; !(await fetch(base + '/api/is-real-backend').then(x => x.ok, () => false)); tries++) {
+  if (tries > 50) {
+    console.error('Build failed: the backend did not start');
+    process.exit(1);
+  }
+  await new Promise(resolve => setTimeout(resolve, 100));
+}
+
+// a browser-like environment for the page scripts
+let dom = new JSDOM(
+  '<!DOCTYPE html><html><head></head><body><header></header><main></main></body></html>',
+  { url: base + '/', pretendToBeVisual: true }
+);
+let { window } = dom;
+for (let key of ['window', 'document', 'location', 'history', 'navigator', 'HTMLElement', 'Element',
+  'Node', 'Event', 'CustomEvent', 'XMLSerializer', 'getComputedStyle']) {
+  Object.defineProperty(globalThis, key, { value: key === 'window' ? window : window[key], configurable: true, writable: true });
+}
+globalThis.marked = window.marked = marked;
+globalThis.alert = window.alert = message => console.warn('alert:', message);
+globalThis.EventSource = class { close() { } };
+// google charts without drawing anything (only the queries matter here)
+let chart = class { draw() { } getImageURI() { return ''; } };
+globalThis.google = {
+  charts: { load() { }, setOnLoadCallback: callback => callback() },
+  visualization: new Proxy({ arrayToDataTable: x => x }, { get: (target, key) => target[key] ?? chart })
+};
+// (and Chart.js the same way)
+globalThis.Chart = window.Chart = class { toBase64Image() { return ''; } };
+(0, eval)(fs.readFileSync(path.join(root, 'js', 'libs', 'jerzy-loader.js'), 'utf-8'));
+
+// fetch against the backend, saving the dbQuery results
+let snapshots = new Map(), files = new Map(), pending = 0;
+let realFetch = globalThis.fetch;
+globalThis.fetch = window.fetch = async (url, options = {}) => {
+  pending++;
+  try {
+    let response = await realFetch(new URL(url, base).href, options);
+    let pathname = new URL(url, base).pathname;
+    if (response.status === 200 && pathname === '/api/dbquery' && !JSON.parse(options.body).stream) {
+      snapshots.set(snapshotKey(options.body), await response.clone().text());
+    }
+    if (response.status === 200 && pathname === '/api/schema') {
+      files.set('api/schema', await response.clone().text());
+    }
+    return response;
+  }
+  finally {
+    pending--;
+  }
+};
+
+// wait until no queries are running
+async function idle() {
+  do { await new Promise(resolve => setTimeout(resolve, 100)); } while (pending > 0);
+}
+
+// run the pages
+await import(pathToFileURL(path.join(root, 'js', '_menu.js')));
+await idle();
+let count = 0;
+for (let { name, slug, script } of globalThis.menuDataFlat) {
+  location.hash = slug;
+  await idle();
+  window.hash = slug.slice(1);
+  document.querySelector('main').innerHTML = '';
+  try {
+    await import(pathToFileURL(path.join(root, 'js', script)) + '?static=' + count++);
+    await idle();
+    for (let select of [...document.querySelectorAll('main select')]) {
+      let start = select.value;
+      for (let value of [...select.options].map(x => x.value).concat(start)) {
+        select.value = value;
+        select.dispatchEvent(new window.Event('change', { bubbles: true }));
+        await idle();
+      }
+    }
+    console.log(`${name}: ok`);
+  }
+  catch (e) {
+    console.warn(`${name}: ${e.message}`);
+  }
+}
+
+// write the static site
+let mainScript = ['js/_menu.js', 'js/main.js', 'main.js'].find(x => fs.existsSync(path.join(root, x)));
+let index = fs.readFileSync(path.join(root, 'index.html'), 'utf-8')
+  .replace('<head>', '<head>\n  <meta name="static-mode" content="true">')
+  .replace('<script type="module" src="/api/getMainScript"></script>', '<script type="module">\n' +
+    (mainScript.includes('menu') ? `    document.body.classList.add('with-menu');\n` : '') +
+    `    import('/${mainScript}');\n  </script>`);
+fs.rmSync(outputFolder, { recursive: true, force: true });
+fs.mkdirSync(path.join(outputFolder, 'snapshots'), { recursive: true });
+fs.mkdirSync(path.join(outputFolder, 'api'), { recursive: true });
+fs.writeFileSync(path.join(outputFolder, 'index.html'), index);
+fs.writeFileSync(path.join(outputFolder, 'report.html'),
+  index.replace('<head>', '<head>\n  <meta name="report-mode" content="true">'));
+for (let file of ['style.css', 'chartSettings.json', mainScript === 'main.js' && 'main.js'].filter(x => x)) {
+  fs.copyFileSync(path.join(root, file), path.join(outputFolder, file));
+}
+fs.cpSync(path.join(root, 'js'), path.join(outputFolder, 'js'), { recursive: true });
+for (let { name, folder, files } of vendorLibraries) {
+  let vendorFolder = path.join(outputFolder, 'vendor', name);
+  files ?
+    files.forEach(file => fs.cpSync(path.join(root, folder, file), path.join(vendorFolder, file))) :
+    fs.cpSync(path.join(root, folder), vendorFolder, { recursive: true });
+}
+// the database, for queries that have no snapshot (run in the browser, see sqliteWasm.js)
+fs.mkdirSync(path.join(outputFolder, 'sqlite-databases'));
+let databaseInUse = path.join(root, 'sqlite-databases', 'database-in-use.json');
+fs.copyFileSync(databaseInUse, path.join(outputFolder, 'sqlite-databases', 'database-in-use.json'));
+let databaseFile = JSON.parse(fs.readFileSync(databaseInUse, 'utf-8'));
+fs.copyFileSync(path.join(root, 'sqlite-databases', databaseFile), path.join(outputFolder, 'sqlite-databases', databaseFile));
+for (let [key, json] of snapshots) {
+  fs.writeFileSync(path.join(outputFolder, 'snapshots', key + '.json'), json);
+}
+for (let [file, content] of files) {
+  fs.writeFileSync(path.join(outputFolder, file), content);
+}
+
+console.log(`Saved ${snapshots.size} query results.\nThe static site is in ${outputFolder}`);
+process.exit(0);
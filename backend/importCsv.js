@@ -0,0 +1,102 @@
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { csvParseWithReport } from '../js/libs/csvParse.js';
+
+// Build a SQLite database from a csv file and a json import spec
+// usage: npm run import-csv -- [path/to/spec.json] [--force]
+// (default spec: sqlite-databases/import-spec.json,
+//  --force overwrites the output database if it exists)
+//
+// The spec:
+// {
+//   "source": "file.csv",          csv file, relative to the spec file
+//   "separator": ",",              (optional, default ",")
+//   "output": "file.db",           written to sqlite-databases
+//   "table": "tableName",
+//   "dropRows": [                  (optional) rows to skip, by csv column
+//     { "column": "Sleep Duration", "in": ["Others"] }
+//   ],
+//   "columns": [                   the columns to keep, in order
+//     {
+//       "from": "Dietary Habits",  csv column name
+//       "to": "dietaryHabits",     database column name
+//       "type": "INTEGER",         database column type
+//       "recode": {                (optional) csv value -> database value
+//         "Unhealthy": 0, "Moderate": 1, "Healthy": 2
+//       }                          (values not listed are kept as they are)
+//     }
+//   ]
+// }
+
+let dbFolder = path.join(import.meta.dirname, '..', 'sqlite-databases');
+let args = process.argv.slice(2);
+let force = args.includes('--force');
+let specFile = args.find(x => x !== '--force') || path.join(dbFolder, 'import-spec.json');
+
+function fail(message) {
+  console.error('Import failed: ' + message);
+  process.exit(1);
+}
+
+// read and check the spec
+let spec;
+try {
+  spec = JSON.parse(fs.readFileSync(specFile, 'utf-8'));
+}
+catch (e) {
+  fail(`could not read the spec ${specFile} (${e.message})`);
+}
+let { source, separator = ',', output, table, dropRows = [], columns } = spec;
+if (!source || !output || !table || !Array.isArray(columns) || !columns.length) {
+  fail('the spec must have a source, an output, a table and columns');
+}
+let sourceFile = path.resolve(path.dirname(specFile), source);
+let outputFile = path.join(dbFolder, path.basename(output));
+if (fs.existsSync(outputFile) && !force) {
+  fail(`${outputFile} already exists (use --force to overwrite it)`);
+}
+
+// read the csv (stop if any rows could not be parsed cleanly)
+let { data, errors } = csvParseWithReport(fs.readFileSync(sourceFile, 'utf-8'), { separator });
+errors.length && fail(`${errors.length} row(s) in the csv could not be parsed:\n` +
+  errors.slice(0, 10).map(({ row, message }) => `  line ${row}: ${message}`).join('\n') +
+  (errors.length > 10 ? '\n  ...' : ''));
+
+// skip dropped rows, keep and recode columns
+// (booleans and dates are stored as 1/0 and ISO strings)
+const toSqlite = value => typeof value === 'boolean' ? +value :
+  value instanceof Date ? value.toISOString() : value;
+let missing = [...columns.map(x => x.from), ...dropRows.map(x => x.column)]
+  .filter(x => data.length && !(x in data[0]));
+missing.length && fail('columns missing in the csv: ' + missing.join(', '));
+let rows = data
+  .filter(row => !dropRows.some(({ column, in: values }) => values.includes(row[column])))
+  .map(row => columns.map(({ from, recode = {} }) =>
+    toSqlite(Object.hasOwn(recode, row[from]) ? recode[row[from]] : row[from])
+  ));
+
+// write a new database (to a temporary file,
+// then replace the output file so that it is never half-written)
+let quote = name => '"' + name.replaceAll('"', '""') + '"';
+let tempFile = outputFile + '.importing';
+fs.existsSync(tempFile) && fs.unlinkSync(tempFile);
+let db = new Database(tempFile);
+try {
+  db.exec(`CREATE TABLE ${quote(table)} (\n  ` +
+    columns.map(({ to, type = '' }) => `${quote(to)} ${type}`.trim()).join(',\n  ') + '\n)');
+  let insert = db.prepare(`INSERT INTO ${quote(table)} VALUES (${columns.map(() => '?').join(', ')})`);
+  db.transaction(() => rows.forEach(row => insert.run(row)))();
+  db.close();
+}
+catch (e) {
+  db.close();
+  fs.unlinkSync(tempFile);
+  fail(e.message);
+}
+fs.renameSync(tempFile, outputFile);
+
+console.log(
+  `Imported ${rows.length} rows (${data.length - rows.length} dropped) ` +
+  `from ${sourceFile}\ninto the table ${table} in ${outputFile}`
+);
@@ -0,0 +1,103 @@
+import { Worker } from 'worker_threads';
+
+// Runs database queries one at a time in a worker thread (see queryWorker.js)
+// - a query that runs longer than its timeout is stopped
+//   by terminating the worker (a new worker is then started)
+// - at most maxRows rows are read from a query
+// - a query can be cancelled with an AbortSignal (e.g. when the client is gone)
+
+// Default/max settings for queries
+export const queryTimeout = 10000;
+export const maxRows = 100000;
+// Number of rows per message from the worker when streaming
+const batchSize = 500;
+
+let worker, current, idCounter = 1;
+const queue = [];
+
+function startWorker() {
+  let thisWorker = worker = new Worker(new URL('./queryWorker.js', import.meta.url));
+  thisWorker.on('message', message => thisWorker === worker && onMessage(message));
+  thisWorker.on('error', e => thisWorker === worker && restart(500, e.message, 'WORKER_ERROR'));
+  thisWorker.on('exit', () => thisWorker === worker && restart(500, 'The query worker stopped!', 'WORKER_ERROR'));
+}
+
+function onMessage(message) {
+  if (!current || message.id !== current.id) { return; }
+  if (message.type === 'rows') {
+    // ask for the next batch when onRows is done with this one
+    let job = current;
+    Promise.resolve(job.onRows(message.rows))
+      .then(() => job === current && worker.postMessage({ id: job.id, type: 'more' }));
+    return;
+  }
+  finish(message);
+}
+
+// resolve the current query and start the next one
+function finish({ status, body, rowCount = 0, truncated = false }) {
+  let job = current;
+  current = null;
+  clearTimeout(job.timer);
+  job.resolve({ status, body, rowCount, truncated });
+  next();
+}
+
+// stop the worker (and the query it is running), fail the current query
+function restart(status, error, code) {
+  let oldWorker = worker;
+  worker = null;
+  oldWorker.terminate();
+  current && finish({ status, body: { error, code, position: null } });
+}
+
+// cancel a query - stop the worker if it is running the query,
+// otherwise just remove the query from the queue
+function cancel(job) {
+  let error = 'The query was cancelled!', code = 'QUERY_CANCELLED';
+  if (job === current) {
+    restart(499, error, code);
+    return;
+  }
+  let index = queue.indexOf(job);
+  if (index < 0) { return; }
+  queue.splice(index, 1);
+  job.resolve({ status: 499, body: { error, code, position: null }, rowCount: 0, truncated: false });
+}
+
+function next() {
+  if (current || !queue.length) { return; }
+  current = queue.shift();
+  !worker && startWorker();
+  let { id, database, sql, params, maxRows, stream, timeout } = current;
+  current.timer = setTimeout(
+    () => restart(504, `The query took longer than ${timeout} ms and was stopped!`, 'QUERY_TIMEOUT'),
+    timeout
+  );
+  worker.postMessage({ id, database, sql, params, maxRows, stream, batchSize });
+}
+
+// a positive integer, no larger than max (or max if not set)
+function limit(value, max) {
+  value = Math.floor(value);
+  return value > 0 ? Math.min(value, max) : max;
+}
+
+// run a query - resolves to { status, body, rowCount, truncated }
+// (onRows is called with batches of rows when streaming,
+//  and then body will be null - if onRows returns a promise,
+//  the next batch is not read until it has resolved)
+// (signal: an optional AbortSignal that cancels the query)
+export default function runQuery({ database, sql, params, maxRows: rowLimit, timeout, onRows, signal }) {
+  return new Promise(resolve => {
+    let job = {
+      id: idCounter++, database, sql, params,
+      maxRows: limit(rowLimit, maxRows),
+      timeout: limit(timeout, queryTimeout),
+      stream: !!onRows, onRows, resolve
+    };
+    queue.push(job);
+    signal?.aborted ? cancel(job) : signal?.addEventListener('abort', () => cancel(job), { once: true });
+    next();
+  });
+}
@@ -0,0 +1,110 @@
+import { parentPort } from 'worker_threads';
+import Database from 'better-sqlite3';
+import fs from 'fs';
+
+// Runs the database queries in a worker thread,
+// so that a slow query can be stopped (by terminating the worker)
+// without blocking the web server
+
+// database connections (read only - the query routes never write)
+// - reopened if the file has changed (e.g. been rebuilt by importCsv.js)
+const connections = {};
+function connect(database) {
+  if (!database || !fs.existsSync(database)) { return; }
+  let { ino, mtimeMs } = fs.statSync(database);
+  let connection = connections[database];
+  if (connection && (connection.ino !== ino || connection.mtimeMs !== mtimeMs)) {
+    connection.db.close();
+    connection = null;
+  }
+  connections[database] = connection ||
+    { db: new Database(database, { readonly: true, fileMustExist: true }), ino, mtimeMs };
+  return connections[database].db;
+}
+
+// a structured query error: { error, code, position }
+// (position = character offset in the sql, when sqlite tells us)
+function queryError(error, code, position = null, status = 400) {
+  return { status, body: { error, code, position } };
+}
+
+// find the position of the token sqlite complains about
+// in messages like 'near "FORM": syntax error' or 'no such column: x'
+function errorPosition(sql, message) {
+  let match = message.match(/near "(.*?)"|no such (?:column|table|function): (\S+)/) || [];
+  let token = match[1] ?? match[2];
+  let position = token === undefined ? -1 : sql.indexOf(token);
+  return position < 0 ? null : position;
+}
+
+// prepare a read-only query
+// - allows SELECT, WITH ... SELECT (CTEs) and EXPLAIN QUERY PLAN,
+//   i.e. any single statement that returns rows and does not write
+// - returns { statement } or { error }
+function prepare(db, sql, params) {
+  if (!db) {
+    return { error: queryError('No database connected!', 'NO_DATABASE', null, 503) };
+  }
+  if (typeof sql !== 'string' || !sql.trim()) {
+    return { error: queryError('No query to run!', 'EMPTY_QUERY') };
+  }
+  if (params !== undefined && (params === null || typeof params !== 'object')) {
+    return { error: queryError('params must be an array or an object!', 'INVALID_PARAMS') };
+  }
+  let statement;
+  try {
+    statement = db.prepare(sql);
+  }
+  catch (e) {
+    return {
+      error: e instanceof RangeError ?
+        queryError('Only one statement can be run per query!', 'MULTIPLE_STATEMENTS') :
+        queryError(e.message, e.code || 'SQLITE_ERROR', errorPosition(sql, e.message))
+    };
+  }
+  if (!statement.reader || !statement.readonly) {
+    return { error: queryError('Only read-only queries returning rows can be run!', 'NOT_READ_ONLY') };
+  }
+  return { statement };
+}
+
+// resolves when the server asks for the next batch of a streamed query
+let resume;
+
+// run a query, reading at most maxRows rows
+// - when streaming, rows are posted in batches as they are read,
+//   waiting for a { type: 'more' } message after each batch
+//   (so that rows are not read faster than the client receives them)
+// - finishes by posting { type: 'done', status, body, truncated }
+async function run({ id, database, sql, params, maxRows, stream, batchSize }) {
+  let { statement, error } = prepare(connect(database), sql, params);
+  if (error) {
+    parentPort.postMessage({ id, type: 'done', ...error });
+    return;
+  }
+  let rows = [], rowCount = 0, truncated = false;
+  try {
+    for (let row of params === undefined ? statement.iterate() : statement.iterate(params)) {
+      // stop reading (which closes the iterator) when we have one row too many
+      if (rowCount === maxRows) { truncated = true; break; }
+      rows.push(row);
+      rowCount++;
+      if (stream && rows.length === batchSize) {
+        parentPort.postMessage({ id, type: 'rows', rows });
+        rows = [];
+        await new Promise(resolve => resume = resolve);
+      }
+    }
+  }
+  catch (e) {
+    parentPort.postMessage({
+      id, type: 'done',
+      ...queryError(e.message, e.code || (e instanceof RangeError ? 'INVALID_PARAMS' : 'SQLITE_ERROR'))
+    });
+    return;
+  }
+  stream && rows.length && parentPort.postMessage({ id, type: 'rows', rows });
+  parentPort.postMessage({ id, type: 'done', status: 200, body: stream ? null : rows, rowCount, truncated });
+}
+
+parentPort.on('message', message => message.type === 'more' ? resume() : run(message));
@@ -0,0 +1,16 @@
+// The frontend libraries that are served by the backend (and copied to the
+// static site, see buildStatic.js) instead of being loaded from a CDN
+// url /vendor/<name>/... -> the folder (relative to the main folder)
+// or { folder, files } to only serve (and copy) some of the files in it
+// (install them with npm install - they are dependencies in package.json)
+const vendorFolders = {
+  'bootstrap': 'node_modules/bootstrap/dist',
+  'chart.js': 'node_modules/chart.js/dist',
+  'marked': 'node_modules/marked/lib',
+  // (used when there is no backend, see sqliteWasm.js)
+  'sql.js': { folder: 'node_modules/sql.js/dist', files: ['sql-wasm.js', 'sql-wasm.wasm'] }
+};
+
+// as a list: [{ name, folder, files }] (files undefined = the whole folder)
+export default Object.entries(vendorFolders).map(([name, entry]) =>
+  ({ name, ...(typeof entry === 'string' ? { folder: entry } : entry) }));
@@ -5,5 +5,18 @@ createMenu('Studenters psykiska hälsa', [
   { name: 'Studiepress och depression', script: 'academic-pressure.js' },
   { name: 'Sömn och depression', script: 'sleep-depression.js' },
   { name: 'Kostvanor och depression', script: 'diet-depression.js' },
-  { name: 'Ekonomisk stress och depression', script: 'financial-stress.js' }
-]);
\ No newline at end of file
+  { name: 'Ekonomisk stress och depression', script: 'financial-stress.js' },
+  { name: 'Familjehistorik och depression', script: 'family-history.js' },
+  { name: 'Självmordstankar och depression', script: 'suicidal-thoughts.js' },
+  { name: 'Kombinationsanalys', script: 'combination-analysis.js' },
+  { name: 'Multivariat analys', script: 'logistic-regression.js' },
+  { name: 'Rangordning av riskfaktorer', script: 'risk-factors.js' },
+  { name: 'Databasschema', script: 'libs/pages/schema-browser.js' }
+], {
+  filters: [
+    { column: 'gender', name: 'Kön', type: 'select', options: { Female: 'Kvinna', Male: 'Man' } },
+    { column: 'age', name: 'Ålder', type: 'range', min: 18, max: 59 },
+    { column: 'cgpa', name: 'CGPA', type: 'range', min: 0, max: 10, step: 0.1 },
+    { column: 'familyMentalHistory', name: 'Psykisk ohälsa i familjen', type: 'select', options: { 0: 'Nej', 1: 'Ja' } }
+  ]
+});
\ No newline at end of file
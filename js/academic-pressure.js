@@ -1,27 +1,5 @@
-import addMdToPage from './libs/addMdToPage.js';
-import addDropdown from './libs/addDropdown.js';
-import dbQuery from "./libs/dbQuery.js";
-import drawGoogleChart from './libs/drawGoogleChart.js';
-import makeChartFriendly from './libs/makeChartFriendly.js';
-import tableFromData from './libs/tableFromData.js';
-
-addMdToPage(`
-## Studiepress och depression
-
-Denna analys undersöker sambandet mellan akademisk press och depression bland studenter.
-`);
-
-// Hämta all data först
-let rawData = await dbQuery(`
-  SELECT academicPressure AS Trycknivå, 
-         COUNT(*) as "Antal studenter",
-         SUM(depression) as "Depressiva studenter",
-         ROUND(SUM(depression) * 100.0 / COUNT(*), 2) as "Procent depressiva"
-  FROM student_depression
-  WHERE academicPressure > 0
-  GROUP BY academicPressure
-  ORDER BY academicPressure
-`);
+import createFactorPage from './libs/createFactorPage.js';
+import { academicPressure } from './factors.js';
 
 // Funktion för att generera analysen
 function generateAnalysis(data) {
@@ -29,9 +7,9 @@ function generateAnalysis(data) {
 
   // Gruppera data i kategorier
   const categories = {
-    'Lågt (1-2)': data.filter(x => x.Trycknivå <= 2),
-    'Medel (3)': data.filter(x => x.Trycknivå === 3),
-    'Högt (4-5)': data.filter(x => x.Trycknivå >= 4)
+    'Lågt (1-2)': data.filter(x => x.kategori <= 2),
+    'Medel (3)': data.filter(x => x.kategori === 3),
+    'Högt (4-5)': data.filter(x => x.kategori >= 4)
   };
 
   // Beräkna genomsnitt för varje kategori
@@ -39,15 +17,15 @@ function generateAnalysis(data) {
   for (const [cat, items] of Object.entries(categories)) {
     if (items.length > 0) {
       results[cat] = {
-        total: items.reduce((sum, x) => sum + x["Antal studenter"], 0),
-        depressed: items.reduce((sum, x) => sum + x["Depressiva studenter"], 0),
-        percentage: (items.reduce((sum, x) => sum + x["Procent depressiva"], 0) / items.length).toFixed(1)
+        total: items.reduce((sum, x) => sum + x.antal, 0),
+        depressed: items.reduce((sum, x) => sum + x.depressiva, 0),
+        percentage: (items.reduce((sum, x) => sum + x.procent, 0) / items.length).toFixed(1)
       };
     }
   }
 
   // Beräkna skillnad mellan högsta och lägsta
-  const maxDiff = (data[data.length - 1]["Procent depressiva"] - data[0]["Procent depressiva"]).toFixed(1);
+  const maxDiff = (data[data.length - 1].procent - data[0].procent).toFixed(1);
 
   return `
 ### Sammanfattning av analysen
@@ -73,51 +51,18 @@ ${Object.entries(results).map(([cat, val]) => `
 • Utöka psykologiskt stöd för högriskgrupper  
 • Anpassa studiebelastning efter individuella behov  
 
-*Data baserad på ${data.reduce((sum, x) => sum + x["Antal studenter"], 0)} studenter totalt*
+*Data baserad på ${data.reduce((sum, x) => sum + x.antal, 0)} studenter totalt*
 `;
 }
 
-// Uppdaterar diagram, tabell och analys
-function updateContent(selectedLevel) {
-  let filteredData = selectedLevel === 'Alla nivåer'
-    ? rawData
-    : rawData.filter(row => row.Trycknivå === Number(selectedLevel));
-
-  let chartData = filteredData.map(row => ({
-    Trycknivå: row["Trycknivå"],
-    "Procent depressiva": row["Procent depressiva"] / 100
-  }));
-
-  drawGoogleChart({
-    type: 'ColumnChart',
-    data: makeChartFriendly(chartData, 'Trycknivå', 'Procent depressiva'),
-    options: {
-      title: 'Depressionsfrekvens per akademisk trycknivå',
-      height: 500,
-      width: 1000,
-      vAxis: {
-        title: 'Procent',
-        format: '#,##%',
-        viewWindow: {
-          min: 0,
-          max: 1
-        }
-      },
-      hAxis: { title: 'Akademisk trycknivå (1-5)' },
-    }
-  });
-
-  tableFromData({
-    data: filteredData,
-    columnNames: ['Trycknivå', 'Antal studenter', 'Depressiva studenter', 'Procent depressiva']
-  });
-
-  // Lägg till analysen
-  addMdToPage(generateAnalysis(filteredData));
-}
-
-// Dropdown + händelse
-addDropdown('Välj trycknivå', ['Alla nivåer', 1, 2, 3, 4, 5], 'Alla nivåer', updateContent);
-
-// Init
-updateContent('Alla nivåer');
\ No newline at end of file
+await createFactorPage({
+  ...academicPressure,
+  title: 'Studiepress och depression',
+  intro: 'Denna analys undersöker sambandet mellan akademisk press och depression bland studenter.',
+  dropdownLabel: 'Välj trycknivå',
+  allLabel: 'Alla nivåer',
+  chartTitle: 'Depressionsfrekvens per akademisk trycknivå',
+  hAxisTitle: 'Akademisk trycknivå (1-5)',
+  decimals: 2,
+  analysis: generateAnalysis
+});
@@ -0,0 +1,51 @@
+import addDropdown from './libs/addDropdown.js';
+import addMdToPage from './libs/addMdToPage.js';
+import addToPage, { renderInto } from './libs/addToPage.js';
+import crosstab, { crosstabTable, drawCrosstabChart } from './libs/crosstab.js';
+import { describeTest, hasResult } from './libs/stats.js';
+import * as factors from './factors.js';
+
+addMdToPage(`
+## Kombinationsanalys
+
+Hur samverkar två faktorer? Tabellen visar andelen depressiva studenter
+för varje kombination av två faktorer, t.ex. om ekonomisk stress
+förstärker sambandet mellan studiepress och depression.
+`);
+
+let factorList = Object.values(factors);
+let names = factorList.map(x => x.groupName);
+let byName = name => factorList.find(x => x.groupName === name);
+
+let rowName = addDropdown('Rader', names, factors.academicPressure.groupName, x => update(rowName = x), '.crosstab');
+let columnName = addDropdown('Kolumner', names, factors.financialStress.groupName, x => update(columnName = x), '.crosstab');
+addToPage('<div class="crosstab"></div>');
+let region = document.querySelector('main .crosstab');
+
+// query first, then render (ignoring answers to earlier choices)
+let latest = 0;
+async function update() {
+  let current = ++latest;
+  if (rowName === columnName) {
+    region.innerHTML = '';
+    renderInto(region, () => addMdToPage('*Välj två olika faktorer.*'));
+    return;
+  }
+  let result = await crosstab(byName(rowName), byName(columnName));
+  if (current !== latest) { return; }
+  region.innerHTML = '';
+  renderInto(region, () => {
+    drawCrosstabChart(result);
+    crosstabTable(result);
+    addMdToPage(`
+### Statistisk prövning
+
+${hasResult(result.test) ? `**Depression mellan kombinationerna:** ${describeTest(result.test)}  ` : ''}
+${hasResult(result.association) ? `**Samband mellan ${rowName.toLowerCase()} och ${columnName.toLowerCase()}:** ${describeTest(result.association)}` : ''}
+
+*Data baserad på ${result.total.antal} studenter*
+`);
+  });
+}
+
+await update();
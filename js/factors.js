@@ -0,0 +1,67 @@
+// The factors (columns) analyzed against depression
+// - settings for createFactorPage, shared by the pages
+//   (plus name: a short name for the factor, e.g. on the overview page)
+// - continuous columns are grouped in bands (see binning.js)
+
+import { binsFromBreaks } from './libs/binning.js';
+
+export const academicPressure = {
+  name: 'Studiepress',
+  column: 'academicPressure',
+  order: [1, 2, 3, 4, 5],
+  groupName: 'Trycknivå',
+  ordinal: true
+};
+
+export const financialStress = {
+  name: 'Ekonomisk stress',
+  column: 'financialStress',
+  order: [1, 2, 3, 4, 5],
+  groupName: 'Stressnivå',
+  ordinal: true
+};
+
+export const sleepDuration = {
+  name: 'Sömn',
+  column: 'sleepDuration',
+  order: ['Sleep Deficiency', 'Insufficient Sleep', 'Optimal Sleep', 'Excessive Sleep'],
+  groupName: 'Sömnkategori'
+};
+
+export const dietaryHabits = {
+  name: 'Kostvanor',
+  column: 'dietaryHabits',
+  order: [0, 1, 2],
+  labels: { 0: 'Ohälsosam', 1: 'Måttlig', 2: 'Hälsosam' },
+  groupName: 'Kosttyp',
+  ordinal: true
+};
+
+export const familyMentalHistory = {
+  name: 'Familjehistorik',
+  column: 'familyMentalHistory',
+  order: [0, 1],
+  labels: { 0: 'Nej', 1: 'Ja' },
+  groupName: 'Psykisk ohälsa i familjen'
+};
+
+export const suicidalThoughts = {
+  name: 'Självmordstankar',
+  column: 'suicidalThoughts',
+  order: [0, 1],
+  labels: { 0: 'Nej', 1: 'Ja' },
+  groupName: 'Självmordstankar'
+};
+
+export const ageBand = binsFromBreaks('age', [22, 26, 30, 35], {
+  name: 'Ålder',
+  groupName: 'Åldersgrupp',
+  min: 18,
+  integer: true
+});
+
+export const cgpaBand = binsFromBreaks('cgpa', [6, 7, 8, 9], {
+  name: 'Betyg (CGPA)',
+  groupName: 'CGPA-intervall',
+  max: 10
+});
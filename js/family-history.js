@@ -0,0 +1,8 @@
+import createFactorPage from './libs/createFactorPage.js';
+import { familyMentalHistory } from './factors.js';
+
+await createFactorPage({
+  ...familyMentalHistory,
+  title: 'Psykisk ohälsa i familjen och depression',
+  intro: 'Analys av om psykisk ohälsa i familjen hänger samman med depression bland studenter.'
+});
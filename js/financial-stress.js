@@ -1,27 +1,5 @@
-import addMdToPage from './libs/addMdToPage.js';
-import addDropdown from './libs/addDropdown.js';
-import dbQuery from "./libs/dbQuery.js";
-import drawGoogleChart from './libs/drawGoogleChart.js';
-import makeChartFriendly from './libs/makeChartFriendly.js';
-import tableFromData from './libs/tableFromData.js';
-
-addMdToPage(`
-## Ekonomisk stress och depression
-
-Analys av hur ekonomisk stress påverkar studenters psykiska hälsa.
-`);
-
-// Hämta all data först
-let rawData = await dbQuery(`
-  SELECT financialStress AS Stressnivå, 
-         COUNT(*) as "Antal studenter",
-         SUM(depression) as "Depressiva studenter",
-         ROUND(SUM(depression) * 100.0 / COUNT(*), 1) as "Procent depressiva"
-  FROM student_depression
-  WHERE financialStress BETWEEN 1 AND 5
-  GROUP BY financialStress
-  ORDER BY financialStress
-`);
+import createFactorPage from './libs/createFactorPage.js';
+import { financialStress } from './factors.js';
 
 // Funktion för att generera analysen
 function generateAnalysis(data) {
@@ -29,9 +7,9 @@ function generateAnalysis(data) {
 
   // Gruppera data i kategorier
   const categories = {
-    'Låg (1-2)': data.filter(x => x.Stressnivå <= 2),
-    'Medel (3)': data.filter(x => x.Stressnivå === 3),
-    'Hög (4-5)': data.filter(x => x.Stressnivå >= 4)
+    'Låg (1-2)': data.filter(x => x.kategori <= 2),
+    'Medel (3)': data.filter(x => x.kategori === 3),
+    'Hög (4-5)': data.filter(x => x.kategori >= 4)
   };
 
   // Beräkna genomsnitt för varje kategori
@@ -39,15 +17,15 @@ function generateAnalysis(data) {
   for (const [cat, items] of Object.entries(categories)) {
     if (items.length > 0) {
       results[cat] = {
-        total: items.reduce((sum, x) => sum + x["Antal studenter"], 0),
-        depressed: items.reduce((sum, x) => sum + x["Depressiva studenter"], 0),
-        percentage: (items.reduce((sum, x) => sum + x["Procent depressiva"], 0) / items.length).toFixed(1)
+        total: items.reduce((sum, x) => sum + x.antal, 0),
+        depressed: items.reduce((sum, x) => sum + x.depressiva, 0),
+        percentage: (items.reduce((sum, x) => sum + x.procent, 0) / items.length).toFixed(1)
       };
     }
   }
 
   // Beräkna skillnad mellan högsta och lägsta
-  const maxDiff = (data[data.length - 1]["Procent depressiva"] - data[0]["Procent depressiva"]).toFixed(1);
+  const maxDiff = (data[data.length - 1].procent - data[0].procent).toFixed(1);
 
   return `
 ### Sammanfattning av analysen
@@ -73,59 +51,28 @@ ${Object.entries(results).map(([cat, val]) => `
 • Budget- och skuldrådgivning  
 • Studieavgiftsanpassningar för sårbara grupper  
 
-*Data baserad på ${data.reduce((sum, x) => sum + x["Antal studenter"], 0)} studenter totalt*
+*Data baserad på ${data.reduce((sum, x) => sum + x.antal, 0)} studenter totalt*
 `;
 }
 
-// Uppdaterar diagram, tabell och analys
-function updateContent(selectedLevel) {
-  let filteredData = selectedLevel === 'Alla nivåer'
-    ? rawData
-    : rawData.filter(row => row.Stressnivå === Number(selectedLevel));
-
-  let chartData = filteredData.map(row => ({
-    Stressnivå: row["Stressnivå"],
-    "Procent depressiva": row["Procent depressiva"] / 100
-  }));
-
-  drawGoogleChart({
-    type: 'LineChart',
-    data: makeChartFriendly(chartData, 'Stressnivå', 'Procent depressiva'),
-    options: {
-      title: 'Depressionsfrekvens per ekonomisk stressnivå',
-      height: 500,
-      width: 1000,
-      vAxis: {
-        title: 'Procent',
-        format: '#,##%',
-        viewWindow: {
-          min: 0,
-          max: 1
-        }
-      },
-      hAxis: { title: 'Ekonomisk stressnivå (1-5)' },
-      colors: ['#EA4335'],
-      trendlines: {
-        0: {
-          type: 'linear',
-          visibleInLegend: true,
-          label: 'Trend'
-        }
+await createFactorPage({
+  ...financialStress,
+  title: 'Ekonomisk stress och depression',
+  intro: 'Analys av hur ekonomisk stress påverkar studenters psykiska hälsa.',
+  dropdownLabel: 'Välj stressnivå',
+  allLabel: 'Alla nivåer',
+  chartType: 'LineChart',
+  chartTitle: 'Depressionsfrekvens per ekonomisk stressnivå',
+  hAxisTitle: 'Ekonomisk stressnivå (1-5)',
+  chartOptions: {
+    colors: ['#EA4335'],
+    trendlines: {
+      0: {
+        type: 'linear',
+        visibleInLegend: true,
+        label: 'Trend'
       }
     }
-  });
-
-  tableFromData({
-    data: filteredData,
-    columnNames: ['Stressnivå', 'Antal studenter', 'Depressiva studenter', 'Procent depressiva']
-  });
-
-  // Lägg till analysen
-  addMdToPage(generateAnalysis(filteredData));
-}
-
-// Dropdown + händelse
-addDropdown('Välj stressnivå', ['Alla nivåer', 1, 2, 3, 4, 5], 'Alla nivåer', updateContent);
-
-// Init
-updateContent('Alla nivåer');
\ No newline at end of file
+  },
+  analysis: generateAnalysis
+});
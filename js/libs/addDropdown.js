@@ -1,9 +1,48 @@
-import addToPage from "./addToPage.js";
+import addToPage, { renderInto } from "./addToPage.js";
+import { hashParams, setHashParams } from "./hashState.js";
+import { isStatic } from "./staticMode.js";
 window.dropdownValues = window.dropdownValues || {};
 
-export default function addDropdown(label, data, initialValue = '') {
+// the change callbacks of the dropdowns (select element -> { onChange, region })
+const callbacks = new WeakMap();
+
+// the report and the static export do not keep dropdown values in the hash
+// (the report shows all pages at once, the static export only has snapshots
+//  of the default values)
+const useHash = !isStatic && !document.querySelector('meta[name="report-mode"]');
+
+// keep the value in the url hash, unless it is the default
+// (or, without the hash, in window.dropdownValues - per page and dropdown)
+function saveValue(name, value, defaultValue, push) {
+  useHash ?
+    setHashParams({ [name]: value + '' === defaultValue + '' ? null : value }, push) :
+    window.dropdownValues[window.hash + '.' + name] = value + '';
+}
+
+// the saved value of a dropdown (as a string), null/undefined if none
+// (with the hash, a value that is not there means the default)
+function savedValue(name) {
+  return useHash ? hashParams().get(name) : window.dropdownValues[window.hash + '.' + name];
+}
+
+// add a dropdown, returns the selected value
+// (kept in the url hash when not the default, e.g. #page?sel1=4, so that links
+//  and back/forward restore it - in the report and the static export
+//  it is remembered in window.dropdownValues instead)
+//
+// - without onChange: a change reloads the page script (the old way)
+// - with onChange(value, region): a change empties the region and calls onChange
+//   with content added to the region instead of main (see renderInto),
+//   the rest of the page stays as it is
+//   region: a selector or element to re-render (default: a new div
+//   right after the dropdown, which onChange also renders initially)
+//   (only content added before onChange awaits anything goes to the region -
+//    an async onChange adds the rest with e.g. renderInto(region, ...))
+export default function addDropdown(label, data, initialValue = '', onChange, region) {
   let name = 'sel' + (document.querySelectorAll('main select').length + 1);
-  initialValue = window.dropdownValues[window.hash + '.' + name] || initialValue;
+  let defaultValue = initialValue || data[0];
+  let saved = savedValue(name);
+  initialValue = data.find(x => saved != null && x + '' === saved) ?? defaultValue;
   addToPage(`
     <label class="my-3 me-4">
       <table style="border:0">
@@ -12,20 +51,39 @@ export default function addDropdown(label, data, initialValue = '') {
       ${label}: 
       </td>
       <td>
-      <select name="${name}" class="form-select">
-        ${data.map(x => `<option ${initialValue == x ? 'selected' : ''}>${x}</option>`)}
+      <select name="${name}" class="form-select" data-default="${defaultValue}">
+        ${data.map(x => `<option ${initialValue == x ? 'selected' : ''}>${x}</option>`).join('')}
       </select>
       </td>
       </table>
     </label>
   `);
-  return initialValue || data[0];
+  let value = initialValue || data[0];
+  saveValue(name, value, defaultValue, false);
+  if (typeof onChange !== 'function') { return value; }
+  let select = document.querySelector(`main select[name="${name}"]`);
+  if (region) {
+    callbacks.set(select, { onChange, region });
+    return value;
+  }
+  addToPage(`<div class="dropdown-region" data-dropdown="${name}"></div>`);
+  region = document.querySelector(`main .dropdown-region[data-dropdown="${name}"]`);
+  callbacks.set(select, { onChange, region });
+  renderInto(region, () => onChange(value, region), false);
+  return value;
 }
 
 document.body.addEventListener('change', e => {
-  let select = e.target.closest('select');
+  let select = e.target.closest('main select');
   if (!select) { return; }
-  window.dropdownValues[window.hash + '.' + select.getAttribute('name')] = select.value;
+  saveValue(select.getAttribute('name'), select.value, select.dataset.default, true);
+  if (callbacks.has(select)) {
+    let { onChange, region } = callbacks.get(select);
+    typeof region === 'string' && (region = document.querySelector(region));
+    region.innerHTML = '';
+    renderInto(region, () => onChange(select.value, region), false);
+    return;
+  }
   document.querySelector('main').innerHTML = '';
   let scriptToReload = document.querySelector('script.page-script');
   let src = scriptToReload.getAttribute('src');
@@ -1,7 +1,36 @@
 import $ from './shorthand-query-selector.js';
 
+// where content goes when no selector is given:
+// main, or a region while renderInto runs (see addDropdown)
+let target = null;
+
 // ironboy
 // add html to page
-export default function addToPage(html, selector = 'main') {
-  $(selector).innerHTML += html;
+// (inserted, not by rewriting innerHTML, so charts already drawn survive)
+export default function addToPage(html, selector) {
+  (selector ? $(selector) : pageTarget()).insertAdjacentHTML('beforeend', html);
+}
+
+// the element content is currently added to
+export function pageTarget() {
+  return target?.isConnected ? target : $('main');
+}
+
+// run fn with content added to element instead of main
+// - until fn returns, or if it returns a promise, until that settles
+//   (with untilSettled = false only until fn returns - content added
+//    after an await then goes to main, so that content other code adds
+//    meanwhile does not end up in element, see addDropdown)
+export function renderInto(element, fn, untilSettled = true) {
+  let previous = target;
+  target = element;
+  let result, settling = false;
+  try {
+    result = fn();
+    settling = untilSettled && result instanceof Promise;
+  }
+  finally {
+    settling || (target = previous);
+  }
+  return settling ? result.finally(() => target = previous) : result;
 }
\ No newline at end of file
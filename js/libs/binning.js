@@ -0,0 +1,93 @@
+import dbQuery from './dbQuery.js';
+import { ckmeans, equalIntervalBreaks, jenks, quantileSorted } from './simple-statistics.js';
+
+// Bins (bands) for continuous columns like age and cgpa,
+// so that they can be grouped by like the categorical factors
+//
+// The result is factor settings, as in factors.js, with an sql CASE
+// expression that gives the label of the bin for each student:
+//   { column, expression, order, breaks, ordinal: true, ...settings }
+// (factorQuery, createFactorPage, crosstab and regressionQuery use
+//  the expression instead of the column)
+//
+// A bin includes its lower limit, but not its upper limit:
+// the breaks [22, 26] give the bins  < 22,  22 to < 26  and  26 or more
+
+// bins computed from the values in the database
+// - method: 'equal-width', 'quantile' (about as many students in each bin),
+//   'jenks' or 'ckmeans' (natural breaks - groups of similar values)
+//   or 'custom' (the limits in breaks)
+// - bins: the number of bins (default 5, can be fewer if the values are few)
+// - decimals: the breaks are rounded to this (default 0 for whole numbers, else 1)
+// - settings: other factor settings, e.g. name and groupName
+// (the bins are computed from all students, without the filters,
+//  so that a band means the same thing on every page)
+export default async function binning(column, {
+  method = 'equal-width', bins = 5, breaks, decimals, ...settings
+} = {}) {
+  let quoted = '"' + column.replaceAll('"', '""') + '"';
+  let rows = await dbQuery(`
+    SELECT ${quoted} AS value, COUNT(*) AS antal
+    FROM student_depression
+    WHERE ${quoted} IS NOT NULL
+    GROUP BY ${quoted}
+    ORDER BY ${quoted}
+  `, undefined, { filter: false });
+  let values = rows.flatMap(x => Array(x.antal).fill(+x.value));
+  let integer = values.every(Number.isInteger);
+  decimals ??= integer ? 0 : 1;
+  breaks = method === 'custom' ? breaks : computeBreaks(values, { method, bins, decimals });
+  return binsFromBreaks(column, breaks, { min: values[0], max: values.at(-1), integer, ...settings });
+}
+
+// the breaks (limits between the bins) for sorted values
+export function computeBreaks(values, { method = 'equal-width', bins = 5, decimals = 1 } = {}) {
+  if (values.length < 2) { return []; }
+  let distinct = [...new Set(values)];
+  bins = Math.min(bins, distinct.length);
+  let breaks;
+  if (method === 'equal-width') {
+    breaks = equalIntervalBreaks(values, bins).slice(1, -1);
+  }
+  else if (method === 'quantile') {
+    breaks = Array.from({ length: bins - 1 }, (_x, i) => quantileSorted(values, (i + 1) / bins));
+  }
+  else if (method === 'ckmeans') {
+    breaks = ckmeans(values, bins).slice(1).map(cluster => cluster[0]);
+  }
+  else if (method === 'jenks') {
+    // (jenks is slow for many values - use at most 1000 evenly spaced ones)
+    let sample = values.length <= 1000 ? values :
+      Array.from({ length: 1000 }, (_x, i) => values[Math.round(i * (values.length - 1) / 999)]);
+    // jenks gives the upper limit of each class, the next class starts at the next value
+    breaks = jenks(sample, bins).slice(1, -1).map(upper => distinct.find(x => x > upper));
+  }
+  else {
+    throw new Error(`binning: unknown method ${method}`);
+  }
+  return breaks.filter(x => x !== undefined).map(x => +x.toFixed(decimals));
+}
+
+// bins with the given breaks (limits between the bins), e.g. [22, 26, 30]
+// - min, max (optional): the smallest and largest value, used in the labels
+// - integer: true if the values are whole numbers (labels like 22–25 instead of 22–26)
+// - settings: other factor settings, e.g. name and groupName
+export function binsFromBreaks(column, breaks, { min, max, integer = false, ...settings } = {}) {
+  breaks = [...new Set(breaks.map(Number))].sort((a, b) => a - b)
+    .filter(x => (min === undefined || x > min) && (max === undefined || x <= max));
+  let limits = [min, ...breaks, max];
+  let labels = limits.slice(0, -1).map((lower, i) => {
+    let upper = limits[i + 1], last = i === limits.length - 2;
+    if (lower === undefined && upper === undefined) { return 'alla'; }
+    if (lower === undefined) { return `under ${upper}`; }
+    if (upper === undefined) { return integer ? `${lower}+` : `${lower} och över`; }
+    let top = integer && !last ? upper - 1 : upper;
+    return lower === top ? `${lower}` : `${lower}–${top}`;
+  });
+  let quoted = '"' + column.replaceAll('"', '""') + '"';
+  let literal = label => `'${label.replaceAll("'", "''")}'`;
+  let expression = `CASE WHEN ${quoted} IS NULL THEN NULL ` +
+    breaks.map((limit, i) => `WHEN ${quoted} < ${limit} THEN ${literal(labels[i])} `).join('') +
+    `ELSE ${literal(labels.at(-1))} END`;
+  return { groupName: column, ...settings, column, expression, order: labels, breaks, ordinal: true };
+}
@@ -0,0 +1,135 @@
+import addMdToPage from './addMdToPage.js';
+import addDropdown from './addDropdown.js';
+import dbQuery from './dbQuery.js';
+import drawChart from './drawChart.js';
+import makeChartFriendly from './makeChartFriendly.js';
+import {
+  chiSquareIndependence, chiSquareTrend, describeTest, hasResult,
+  proportionInterval, withProportionIntervals
+} from './stats.js';
+import tableFromData from './tableFromData.js';
+
+// create a whole analysis page for one factor (a column) against depression:
+// heading, GROUP BY query, dropdown, chart, table and analysis text
+//
+// settings:
+//   column         the column to group by (e.g. 'dietaryHabits')
+//   expression     (optional) an sql expression to group by instead, e.g. bands (see binning.js)
+//   order          the values to include, in order (default: all, sorted)
+//   labels         labels for the values (default: the values), e.g. { 0: 'Ohälsosam' }
+//   title          page heading
+//   intro          (optional) markdown below the heading
+//   groupName      name of the grouping, used in table and chart (e.g. 'Kosttyp')
+//   chartType      Google Charts type (default 'ColumnChart')
+//   chartEngine    (optional) 'google' (default) or 'chartjs' (see drawChart)
+//   chartTitle     (optional) string or function(selected) returning a string
+//   hAxisTitle     (optional, default groupName)
+//   chartOptions   (optional) extra Google Charts options
+//   dropdownLabel  (optional, default 'Välj ' + groupName in lower case)
+//   allLabel       (optional, default 'Alla') dropdown choice for all values
+//   decimals       (optional, default 1) decimals in the percentage
+//   ordinal        (optional) true if the values are ordered -
+//                  adds a test for linear trend to the default analysis
+//   analysis       (optional) function(data, { allData, test, trendTest })
+//                  returning markdown - data rows are
+//                  { kategori, antal, depressiva, procent }
+//                  (the tests may have no result, see hasResult in stats.js)
+//
+// returns the data (all values) - await it to know that the page is ready
+export default async function createFactorPage({
+  column, expression, order, labels = {}, title, intro = '', groupName,
+  chartType = 'ColumnChart', chartEngine = 'google', chartTitle = 'Depressionsfrekvens per ' + groupName.toLowerCase(),
+  hAxisTitle = groupName, chartOptions = {},
+  dropdownLabel = 'Välj ' + groupName.toLowerCase(), allLabel = 'Alla',
+  decimals = 1, ordinal = false, analysis = defaultAnalysis
+}) {
+  addMdToPage(`## ${title}\n\n${intro}`);
+
+  let allData = await dbQuery(factorQuery({ column, expression, order, decimals }), order ? [...order, ...order] : undefined);
+  allData.forEach(row => row.kategori = labels[row.kategori] ?? row.kategori);
+  let test = chiSquareIndependence(allData, { group: 'kategori', total: 'antal', cases: 'depressiva' });
+  let trendTest = ordinal && chiSquareTrend(allData, { group: 'kategori', total: 'antal', cases: 'depressiva' });
+
+  function updateContent(selected) {
+    let data = selected === allLabel ? allData : allData.filter(x => x.kategori + '' === selected + '');
+    if (!data.length) {
+      addMdToPage('*Inga studenter matchar filtret.*');
+      return;
+    }
+
+    drawChart({
+      engine: chartEngine,
+      type: chartType,
+      data: makeChartFriendly(
+        data.map(x => ({ kategori: x.kategori, procent: proportionInterval(x.depressiva, x.antal) })),
+        groupName, 'Procent depressiva'
+      ),
+      options: {
+        height: 500,
+        width: 1000,
+        ...chartOptions,
+        title: typeof chartTitle === 'function' ? chartTitle(selected) : chartTitle,
+        vAxis: {
+          title: 'Procent',
+          format: '#,##%',
+          viewWindow: { min: 0, max: 1 },
+          ...chartOptions.vAxis
+        },
+        hAxis: { title: hAxisTitle, ...chartOptions.hAxis }
+      }
+    });
+
+    tableFromData({
+      data: withProportionIntervals(data, 'procent', { scale: 100 }),
+      columnNames: [groupName, 'Antal studenter', 'Depressiva studenter', 'Procent depressiva (95 % KI)']
+    });
+
+    addMdToPage(analysis(data, { allData, test, trendTest }));
+  }
+
+  // draws the content below the dropdown, and again on change
+  addDropdown(dropdownLabel, [allLabel, ...allData.map(x => x.kategori)], allLabel, updateContent);
+  return allData;
+}
+
+// the GROUP BY query for a factor
+// (order values are bound as parameters: first for IN, then for ORDER BY)
+// - expression (optional): an sql expression to group by instead of the column,
+//   e.g. a CASE expression that puts ages into bands
+export function factorQuery({ column, expression, order, decimals = 1 }) {
+  let quoted = expression ? `(${expression})` : '"' + column.replaceAll('"', '""') + '"';
+  return `
+    SELECT ${quoted} AS kategori,
+           COUNT(*) AS antal,
+           SUM(depression) AS depressiva,
+           ROUND(SUM(depression) * 100.0 / COUNT(*), ${+decimals}) AS procent
+    FROM student_depression
+    ${order ? `WHERE ${quoted} IN (${order.map(() => '?').join(', ')})` : ''}
+    GROUP BY ${quoted}
+    ORDER BY ${order ? `CASE ${quoted} ${order.map((_x, i) => `WHEN ? THEN ${i}`).join(' ')} END` : quoted}
+  `;
+}
+
+// analysis text used if the page does not provide its own
+function defaultAnalysis(data, { test, trendTest }) {
+  if (data.length === 0) { return ''; }
+  let worst = data.reduce((a, b) => a.procent > b.procent ? a : b);
+  let best = data.reduce((a, b) => a.procent < b.procent ? a : b);
+  return `
+### Sammanfattning av analysen
+
+**Resultat:**
+${data.map(x => `
+- **${x.kategori}:** ${x.procent}% depression (${x.depressiva} av ${x.antal} studenter)`).join('')}
+
+**Nyckelfynd:**
+▼ Högst andel: ${worst.kategori} med ${worst.procent}% depression  
+▲ Lägst andel: ${best.kategori} med ${best.procent}% depression  
+● Skillnad på ${(worst.procent - best.procent).toFixed(1)} procentenheter  
+
+${hasResult(test) ? `**Statistisk prövning (alla kategorier):**
+${describeTest(test)}${hasResult(trendTest) ? `  \n${describeTest(trendTest)}` : ''}
+` : ''}
+*Data baserad på ${data.reduce((sum, x) => sum + x.antal, 0)} studenter*
+`;
+}
@@ -1,16 +1,31 @@
 import './liveReload.js';
+import { bindFilterBar, filterBar, filterQueryString, setFilters, showFilters } from './filters.js';
+import createReport from './report.js';
+import { isStatic } from './staticMode.js';
 
-export default function createMenu(siteName, menuData) {
+// options (optional): { filters, table }
+// filters = definitions for a filter bar under the menu (see filters.js),
+// applied to the table (default 'student_depression') in every dbQuery
+export default function createMenu(siteName, menuData, { filters = [], table } = {}) {
+  // the static export can only show the exported (unfiltered) results
+  isStatic && (filters = []);
   // add slugs
   let menuDataFlat = [];
   menuData = JSON.parse(JSON.stringify(menuData), function (_key, val) {
-    if (this.name && this.script) {
+    // (the reviver is called once per key, so only add each page once)
+    if (this.name && this.script && !this.slug) {
       this.slug = '#' + kebabify(this.name);
       menuDataFlat.push(this);
     }
     return val;
   });
   globalThis.menuDataFlat = menuDataFlat;
+  setFilters(filters, table);
+  // the route /report shows all pages in one document instead of a menu
+  if (document.querySelector('meta[name="report-mode"]')) {
+    createReport(siteName, menuDataFlat);
+    return;
+  }
   // build menu
   let menu = `
       <nav class="navbar navbar-expand-lg bg-body-tertiary fixed-top">
@@ -42,12 +57,40 @@ export default function createMenu(siteName, menuData) {
           </ul>
         </div>
       </div>
+      ${filters.length ? filterBar() : ''}
     </nav>
   `;
   document.querySelector('header').innerHTML = menu;
+  if (filters.length) {
+    document.body.classList.add('with-filters');
+    bindFilterBar();
+  }
+  addDatabaseSelect();
   hashNav();
 }
 
+// add a dropdown for switching the active database to the menu
+// (only if the backend has more than one database to choose from)
+async function addDatabaseSelect() {
+  if (isStatic) { return; }
+  let databases = await fetch('/api/databases').then(x => x.json()).catch(() => []);
+  if (!Array.isArray(databases) || databases.length < 2) { return; }
+  document.querySelector('#navbarSupportedContent').innerHTML += /*html*/`
+    <select class="form-select form-select-sm w-auto database-select" title="Databas">
+      ${databases.map(({ name, active }) => `<option ${active ? 'selected' : ''}>${name}</option>`).join('')}
+    </select>
+  `;
+  document.querySelector('.database-select').addEventListener('change', async e => {
+    await fetch('/api/databases/active', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: e.target.value })
+    });
+    // reload the page script, now using the new database
+    hashNav();
+  });
+}
+
 function kebabify(str) {
   return str
     .toLowerCase()                   // to small letters
@@ -60,16 +103,23 @@ function kebabify(str) {
 // Navigate
 function hashNav() {
   let menuData = globalThis.menuDataFlat;
-  let h = location.hash || '#' + kebabify(menuData[0].name);
+  // the hash is the page slug, optionally followed by ?params
+  // for filters and dropdowns (see hashState.js)
+  let h = location.hash.split('?')[0];
+  h.length < 2 && (h = '#' + kebabify(menuData[0].name));
   window.hash = h.slice(1);
+  let query = filterQueryString();
   for (let link of [...document.querySelectorAll('header .nav-item a')]) {
-    let href = link.getAttribute('href');
+    let href = link.getAttribute('href').split('?')[0];
     link.classList.remove('active');
+    // keep the filters when navigating
+    href !== '#' && link.setAttribute('href', href + (query ? '?' + query : ''));
     if (h === href) {
       link.classList.add('active');
       link.closest('.nav-item').querySelector('.nav-link').classList.add('active');
     }
   }
+  showFilters();
   // empty main area
   document.querySelector('main').innerHTML = '';
   // load script
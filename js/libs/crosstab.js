@@ -0,0 +1,120 @@
+import dbQuery from './dbQuery.js';
+import drawGoogleChart from './drawGoogleChart.js';
+import { chiSquareTest, proportionInterval } from './stats.js';
+import tableFromData from './tableFromData.js';
+
+// Cross-tabulation of two factors (columns) against depression:
+// the depression rate for each combination of values
+//
+// The factors are settings as in factors.js: { column, order, labels, groupName }
+// (order and labels are optional)
+//
+// crosstab(rowFactor, columnFactor) queries the database and returns
+// {
+//   rowFactor, columnFactor,
+//   rows, columns      the labels of the values, in order
+//   cells              cells[i][j] = { antal, depressiva } (null if no students)
+//   rowMargins         per row { antal, depressiva }
+//   columnMargins      per column { antal, depressiva }
+//   total              { antal, depressiva }
+//   test               chi-square test of depression between the combinations
+//   association        chi-square test of the relation between the two factors
+// }
+// (the tests have no result if there is too little data, see hasResult in stats.js)
+export default async function crosstab(rowFactor, columnFactor) {
+  let data = await dbQuery(
+    crosstabQuery(rowFactor, columnFactor),
+    [...rowFactor.order || [], ...columnFactor.order || []]
+  );
+  let values = (factor, key) => factor.order ||
+    [...new Set(data.map(x => x[key]))].sort((a, b) => a < b ? -1 : a > b ? 1 : 0);
+  let rowValues = values(rowFactor, 'rad'), columnValues = values(columnFactor, 'kolumn');
+  let cells = rowValues.map(r => columnValues.map(c => {
+    let found = data.find(x => x.rad === r && x.kolumn === c);
+    return found ? { antal: found.antal, depressiva: found.depressiva } : null;
+  }));
+  let sum = list => list.reduce((a, x) => ({
+    antal: a.antal + (x?.antal || 0), depressiva: a.depressiva + (x?.depressiva || 0)
+  }), { antal: 0, depressiva: 0 });
+  let rowMargins = cells.map(sum);
+  let columnMargins = columnValues.map((_x, j) => sum(cells.map(row => row[j])));
+  let filled = cells.flat().filter(x => x);
+  return {
+    rowFactor, columnFactor,
+    rows: rowValues.map(x => rowFactor.labels?.[x] ?? x),
+    columns: columnValues.map(x => columnFactor.labels?.[x] ?? x),
+    cells, rowMargins, columnMargins,
+    total: sum(rowMargins),
+    test: chiSquareTest(filled.map(x => [x.depressiva, x.antal - x.depressiva])),
+    association: chiSquareTest(cells.map(row => row.map(x => x?.antal || 0)))
+  };
+}
+
+// the GROUP BY query for two factors
+// (order values are bound as parameters: first the row factor's, then the column factor's)
+export function crosstabQuery(rowFactor, columnFactor) {
+  // (the factor's expression, e.g. bands, or its column)
+  let quote = ({ column, expression }) => expression ? `(${expression})` : '"' + column.replaceAll('"', '""') + '"';
+  let r = quote(rowFactor), c = quote(columnFactor);
+  let where = [[r, rowFactor.order], [c, columnFactor.order]]
+    .filter(([_column, order]) => order)
+    .map(([column, order]) => `${column} IN (${order.map(() => '?').join(', ')})`);
+  return `
+    SELECT ${r} AS rad,
+           ${c} AS kolumn,
+           COUNT(*) AS antal,
+           SUM(depression) AS depressiva
+    FROM student_depression
+    ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    GROUP BY ${r}, ${c}
+  `;
+}
+
+// show a crosstab as a heatmap table: the depression rate and counts per cell,
+// with margins (Totalt) - the higher the rate, the redder the cell
+export function crosstabTable(result, { decimals = 1 } = {}) {
+  let { rowFactor, columnFactor, rows, columns, cells, rowMargins, columnMargins, total } = result;
+  let nFormat = Intl.NumberFormat('sv-SE', { maximumFractionDigits: 0 });
+  let pFormat = Intl.NumberFormat('sv-SE', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+  let show = x => !x?.antal ? '–' :
+    `${pFormat.format(x.depressiva / x.antal * 100)}%<br>` +
+    `<small class="text-body-secondary">${nFormat.format(x.depressiva)} av ${nFormat.format(x.antal)}</small>`;
+  let rates = cells.flat().filter(x => x?.antal).map(x => x.depressiva / x.antal);
+  let min = Math.min(...rates), max = Math.max(...rates);
+  let data = [...rows.map((label, i) => [label, ...cells[i], rowMargins[i]]), ['Totalt', ...columnMargins, total]]
+    .map(([label, ...values]) => Object.fromEntries([['label', label], ...values.map((x, j) => ['c' + j, show(x)])]));
+  tableFromData({
+    data,
+    columnNames: [`${rowFactor.groupName} \\ ${columnFactor.groupName}`, ...columns, 'Totalt'],
+    cellStyle: (_value, columnIndex, rowIndex) => {
+      if (columnIndex === 0) { return ''; }
+      let isMargin = rowIndex === rows.length || columnIndex === columns.length + 1;
+      let cell = isMargin ? null : cells[rowIndex][columnIndex - 1];
+      let heat = !cell?.antal ? 0 : max > min ? (cell.depressiva / cell.antal - min) / (max - min) : 0.5;
+      return 'text-align:right' + (isMargin ? ';font-weight:bold' :
+        `;background-color:rgba(220,53,69,${(0.1 + 0.6 * heat).toFixed(2)})`);
+    }
+  });
+}
+
+// draw a crosstab as a grouped column chart: one group of columns
+// per row value, one column (with 95 % confidence interval) per column value
+export function drawCrosstabChart(result, options = {}) {
+  let { rowFactor, columnFactor, rows, columns, cells } = result;
+  return drawGoogleChart({
+    type: 'ColumnChart',
+    data: [
+      [rowFactor.groupName, ...columns.map(x => columnFactor.groupName + ': ' + x)],
+      ...rows.map((label, i) => [label + '', ...cells[i].map(x =>
+        x?.antal ? proportionInterval(x.depressiva, x.antal) : null)])
+    ],
+    options: {
+      height: 500,
+      width: 1000,
+      title: `Depressionsfrekvens per ${rowFactor.groupName.toLowerCase()} och ${columnFactor.groupName.toLowerCase()}`,
+      ...options,
+      vAxis: { title: 'Procent', format: '#,##%', viewWindow: { min: 0, max: 1 }, ...options.vAxis },
+      hAxis: { title: rowFactor.groupName, ...options.hAxis }
+    }
+  });
+}
@@ -1,14 +1,7 @@
-export default async function csvLoad(url, separator = ',') {
-  let text = (await (await fetch(url)).text()).split('\r\n').join('\n').split('\n').filter(x => x.trim());
-  let columnNames = text.splice(0, 1)[0].split(separator).map(x => x.trim());
-  let data = [];
-  for (let row of text) {
-    let obj = {}, cnames = columnNames.slice();
-    for (let columnValue of row.split(separator)) {
-      columnValue = isNaN(columnValue) ? columnValue : +columnValue;
-      obj[cnames.shift()] = columnValue;
-    }
-    data.push(obj);
-  }
-  return data;
-}
\ No newline at end of file
+import csvParse from './csvParse.js';
+
+// load a csv file and parse it to an array of objects
+// (options or separator: see csvParse)
+export default async function csvLoad(url, options = ',') {
+  return csvParse(await (await fetch(url)).text(), options);
+}
@@ -0,0 +1,116 @@
+// parse csv text (RFC 4180) to an array of objects
+// - used by csvLoad and by the csv import script (backend/importCsv.js)
+// - options (or just the separator as a string):
+//   separator   default ','
+//   quote       default '"' (inside quoted fields it is escaped by doubling it)
+//   header      default true - the first row holds the column names,
+//               if false the columns are named column1, column2...
+//               (or after the names in the option columns)
+//   inferTypes  default true - each column gets the type that fits all
+//               its values: number, boolean (true/false) or date (ISO 8601),
+//               otherwise string - empty values become null
+//   types       override the inferred type for some columns,
+//               e.g. { zipCode: 'string' }
+// - rows that can not be parsed cleanly are still included
+//   (use csvParseWithReport to get a list of them)
+export default function csvParse(text, options) {
+  return csvParseWithReport(text, options).data;
+}
+
+// as csvParse, but returns { data, columns, types, errors }
+// where errors is a list of { row, message } (row = line number)
+export function csvParseWithReport(text, options = {}) {
+  typeof options === 'string' && (options = { separator: options });
+  let { separator = ',', quote = '"', header = true, inferTypes = true, types = {} } = options;
+  let { records, errors } = tokenize(text, separator, quote);
+  let columns = header ?
+    (records.shift()?.fields || []).map(x => x.trim()) :
+    options.columns || [];
+  // without a header row, name the columns after the widest row
+  if (!header) {
+    let width = records.reduce((max, x) => Math.max(max, x.fields.length), columns.length);
+    while (columns.length < width) { columns.push('column' + (columns.length + 1)); }
+  }
+  // check the number of fields per row
+  for (let { row, fields } of records) {
+    if (fields.length !== columns.length) {
+      errors.push({ row, message: `Expected ${columns.length} fields, found ${fields.length}` });
+    }
+  }
+  // decide a type per column
+  let columnTypes = {};
+  columns.forEach((column, i) => columnTypes[column] = types[column] ||
+    (inferTypes ? inferType(records.map(x => x.fields[i])) : 'string'));
+  let data = records.map(({ fields }) => {
+    let obj = {};
+    columns.forEach((column, i) => obj[column] = convert(fields[i], columnTypes[column], inferTypes));
+    return obj;
+  });
+  errors.sort((a, b) => a.row - b.row);
+  return { data, columns, types: columnTypes, errors };
+}
+
+// split the text into records of fields
+// (quoted fields may contain separators, quotes and line breaks)
+function tokenize(text, separator, quote) {
+  text = text.replace(/^\uFEFF/, '');
+  let records = [], errors = [];
+  let fields = [], field = '', quoted = false, wasQuoted = false;
+  let line = 1, recordLine = 1;
+  const endField = () => { fields.push(field); field = ''; wasQuoted = false; };
+  const endRecord = () => {
+    // skip empty lines (but not a line with just "", an empty value)
+    let empty = !fields.length && !field && !wasQuoted;
+    endField();
+    !empty && records.push({ row: recordLine, fields });
+    fields = [];
+    recordLine = line;
+  };
+  for (let i = 0; i < text.length; i++) {
+    let char = text[i];
+    if (quoted) {
+      if (char === quote && text[i + 1] === quote) { field += quote; i++; }
+      else if (char === quote) { quoted = false; wasQuoted = true; }
+      else { char === '\n' && line++; field += char; }
+    }
+    else if (char === quote && !field && !wasQuoted) { quoted = true; }
+    else if (char === separator) { endField(); }
+    else if (char === '\r' || char === '\n') {
+      char === '\r' && text[i + 1] === '\n' && i++;
+      line++;
+      endRecord();
+    }
+    else {
+      if (wasQuoted || char === quote) {
+        errors.push({ row: line, message: `Unexpected character ${char} in a quoted field` });
+        wasQuoted = false;
+      }
+      field += char;
+    }
+  }
+  quoted && errors.push({ row: recordLine, message: 'Quoted field not closed before end of file' });
+  (field || fields.length || wasQuoted || quoted) && endRecord();
+  return { records, errors };
+}
+
+const isNumber = x => /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(x);
+const isBoolean = x => /^(true|false)$/i.test(x);
+const isDate = x => /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(x)
+  && !isNaN(new Date(x));
+
+// the type that fits all (non empty) values
+function inferType(values) {
+  values = values.filter(x => x !== undefined && x.trim() !== '').map(x => x.trim());
+  if (!values.length) { return 'string'; }
+  for (let [type, test] of [['number', isNumber], ['boolean', isBoolean], ['date', isDate]]) {
+    if (values.every(test)) { return type; }
+  }
+  return 'string';
+}
+
+function convert(value, type, emptyToNull) {
+  if (value === undefined || (emptyToNull && value.trim() === '')) { return null; }
+  return type === 'number' ? +value :
+    type === 'boolean' ? value.trim().toLowerCase() === 'true' :
+      type === 'date' ? new Date(value.trim()) : value;
+}
@@ -1,6 +1,74 @@
-import jload from './jload.js';
+import { applyFilters, unfilteredPosition } from './filters.js';
+import wasmQuery, { hasBackend } from './sqliteWasm.js';
+import { isStatic, readSnapshot } from './staticMode.js';
 
-// make a deb query to a sqlite db through backend api
-export default async function dbQuery(selectQuery) {
-  return await jload('/api/dbquery/' + encodeURIComponent(selectQuery));
-}
\ No newline at end of file
+// results of earlier queries (as json), with their ETags,
+// so that the backend can answer 304 Not Modified instead of resending them
+// (least recently used are evicted first, same size limit as the backend cache)
+const etagCacheMaxBytes = 50 * 1024 * 1024;
+const etagCache = new Map();
+let etagCacheBytes = 0;
+
+function etagCacheGet(key) {
+  let hit = etagCache.get(key);
+  // move to the end = most recently used
+  hit && etagCache.delete(key) && etagCache.set(key, hit);
+  return hit;
+}
+
+function etagCacheSet(key, value) {
+  etagCacheBytes -= etagCache.get(key)?.json.length || 0;
+  etagCache.delete(key);
+  etagCache.set(key, value);
+  etagCacheBytes += value.json.length;
+  for (let [oldKey, { json }] of etagCache) {
+    if (etagCacheBytes <= etagCacheMaxBytes) { break; }
+    etagCache.delete(oldKey);
+    etagCacheBytes -= json.length;
+  }
+}
+
+// make a db query to a sqlite db through backend api
+// - params (optional) are bound to the query by the backend:
+//   an array for positional ? parameters, an object for named ones
+//   (e.g. dbQuery('SELECT * FROM t WHERE level = ?', [4]))
+// - options (optional): { db, maxRows, timeout, filter }
+//   db = name of the database to query (the active one if not set),
+//   maxRows and timeout lower the backend limits,
+//   filter = false to ignore the filters in the filter bar (see filters.js)
+// - throws an Error (with code and position) if the query fails
+// - in the static export the results are read from snapshots (see staticMode.js),
+//   without the backend the query is run in the browser (see sqliteWasm.js)
+export default async function dbQuery(selectQuery, params, { db, maxRows, timeout, filter = true } = {}) {
+  let sql = filter ? applyFilters(selectQuery) : selectQuery;
+  let body = JSON.stringify({ sql, params, db, maxRows, timeout });
+  if (isStatic) {
+    return readSnapshot(body).catch(e => wasmQuery(sql, params, { db, maxRows })
+      // no database file in the static export either - report the missing snapshot
+      .catch(wasmError => { throw wasmError.code === 'NO_DATABASE' ? e : wasmError; }));
+  }
+  if (!(await hasBackend())) { return wasmQuery(sql, params, { db, maxRows }); }
+  let cached = etagCacheGet(body);
+  let response = await fetch('/api/dbquery', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(cached && { 'If-None-Match': cached.etag })
+    },
+    body
+  });
+  if (response.status === 304) {
+    return JSON.parse(cached.json);
+  }
+  let json = await response.text();
+  let result = JSON.parse(json);
+  if (!response.ok) {
+    let { error, code, position } = result;
+    throw Object.assign(new Error(error), { code, position: unfilteredPosition(position, selectQuery, sql) });
+  }
+  response.headers.get('X-Row-Limit-Reached') &&
+    console.warn(`dbQuery: only the first ${result.length} rows were returned`, selectQuery);
+  let etag = response.headers.get('ETag');
+  etag && etagCacheSet(body, { etag, json });
+  return result;
+}
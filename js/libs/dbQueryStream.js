@@ -0,0 +1,58 @@
+import { applyFilters, unfilteredPosition } from './filters.js';
+import dbQuery from './dbQuery.js';
+import wasmQuery, { hasBackend } from './sqliteWasm.js';
+import { isStatic } from './staticMode.js';
+
+// make a streaming db query to a sqlite db through backend api
+// - same arguments as dbQuery
+// - an async generator: rows are yielded as they arrive, e.g.
+//   for await (let row of dbQueryStream('SELECT * FROM t')) { ... }
+// - throws an Error (with code and position) if the query fails
+export default async function* dbQueryStream(selectQuery, params, { db, maxRows, timeout, filter = true } = {}) {
+  let sql = filter ? applyFilters(selectQuery) : selectQuery;
+  // the static export has no backend to stream from (see staticMode.js)
+  if (isStatic) {
+    yield* await dbQuery(selectQuery, params, { db, maxRows, timeout, filter });
+    return;
+  }
+  // nor has the browser when it runs the queries itself (see sqliteWasm.js)
+  if (!(await hasBackend())) {
+    yield* await wasmQuery(sql, params, { db, maxRows });
+    return;
+  }
+  let response = await fetch('/api/dbquery', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sql, params, db, maxRows, timeout, stream: true })
+  });
+  if (!response.ok) {
+    throw toError(await response.json(), selectQuery, sql);
+  }
+  // read the NDJSON response line by line
+  let reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffered = '';
+  while (true) {
+    let { value, done } = await reader.read();
+    if (done) { break; }
+    let lines = (buffered + value).split('\n');
+    buffered = lines.pop();
+    for (let line of lines.filter(x => x)) {
+      let message = JSON.parse(line);
+      if (message.type === 'error') {
+        throw toError(message.error, selectQuery, sql);
+      }
+      if (message.type === 'end') {
+        message.truncated &&
+          console.warn(`dbQueryStream: only the first ${message.rowCount} rows were returned`, selectQuery);
+        return;
+      }
+      yield message.row;
+    }
+  }
+  // the connection closed before the server could report an end or an error
+  throw toError({ error: 'The query stream ended unexpectedly!', code: 'STREAM_ENDED' }, selectQuery, sql);
+}
+
+function toError({ error, code, position }, selectQuery, sql) {
+  return Object.assign(new Error(error), { code, position: unfilteredPosition(position, selectQuery, sql) });
+}
@@ -0,0 +1,15 @@
+import drawChartJs from './drawChartJs.js';
+import drawGoogleChart from './drawGoogleChart.js';
+
+// draw a chart with Google Charts or Chart.js, with the same settings
+// (see drawGoogleChart and drawChartJs), so that a page can switch engine:
+//   engine   'google' (default) or 'chartjs'
+//   type     a Google Charts type, e.g. 'ColumnChart'
+//   data     an array with column headings (see makeChartFriendly)
+//   element  (optional) where to draw the chart
+//   options  Google Charts options
+export default function drawChart({ engine = 'google', ...settings }) {
+  if (engine === 'chartjs') { return drawChartJs(settings); }
+  if (engine === 'google') { return drawGoogleChart(settings); }
+  throw new Error(`drawChart: unknown engine ${engine}`);
+}
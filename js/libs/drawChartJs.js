@@ -0,0 +1,229 @@
+import { pageTarget } from './addToPage.js';
+import { exportButtons } from './exportData.js';
+import { filterDescription } from './filters.js';
+import jload from './jload.js';
+import $ from './shorthand-query-selector.js';
+import { isInterval } from './stats.js';
+
+// Draw a chart with Chart.js (served from /vendor/chart.js, so it works offline)
+// - the same settings as drawGoogleChart: { type, data, element, options }
+//   data: an array with column headings (see makeChartFriendly),
+//   type: a Google Charts type - ColumnChart, BarChart, LineChart,
+//   AreaChart, PieChart or ScatterChart
+// - the common Google Charts options are translated: title, width, height,
+//   colors, legend, isStacked, orientation, lineWidth, pointSize, curveType,
+//   trendlines (linear), hAxis/vAxis (title, format '%', viewWindow,
+//   logScale - on the value axis only)
+// - throws an Error for options that would change the chart too much
+//   to be left out (see unsupportedOptions) - drawGoogleChart then shows
+//   that the chart could not be drawn
+// - options.chartjs: Chart.js options, used as they are
+//   (replacing translated options with the same name)
+// - intervals { value, lower, upper } (see proportionInterval in stats.js)
+//   are drawn as error bars
+
+const types = {
+  ColumnChart: { type: 'bar' },
+  BarChart: { type: 'bar', indexAxis: 'y' },
+  LineChart: { type: 'line' },
+  AreaChart: { type: 'line', fill: true },
+  PieChart: { type: 'pie' },
+  ScatterChart: { type: 'scatter' }
+};
+
+// Google Charts options that are not translated (and not safe to ignore)
+const unsupportedOptions = ['series', 'hAxes', 'vAxes', 'annotations', 'explorer'];
+
+// the default colors of Google Charts, so that both engines look alike
+const googleColors = ['#3366cc', '#dc3912', '#ff9900', '#109618', '#990099', '#0099c6', '#dd4477', '#66aa00'];
+
+let counter = 1;
+
+export default async function drawChartJs({ type, data, element, options = {} }) {
+  if (!types[type]) {
+    throw new Error(`drawChartJs: the chart type ${type} is not supported`);
+  }
+  let unsupported = unsupportedOptions.find(x => x in options) ||
+    (Object.values(options.trendlines || {}).some(x => (x.type || 'linear') !== 'linear') && 'trendlines');
+  if (unsupported) {
+    throw new Error(`drawChartJs: the option ${unsupported} is not supported`);
+  }
+  element = element && $(element);
+  if (!element) {
+    element = document.createElement('div');
+    element.classList.add('chartjs-' + counter++);
+    pageTarget().append(element);
+  }
+
+  if (typeof data === 'string') {
+    data = await jload(data);
+  }
+
+  // show the active filters in the title
+  let filters = filterDescription();
+  filters && options.title && (options = { ...options, title: `${options.title} (${filters})` });
+
+  // (the title is also used for figure captions in the report, see report.js)
+  element.dataset.chartTitle = options.title || '';
+
+  // the size in pixels, as in Google Charts (but not wider than the page)
+  Object.assign(element.style, {
+    position: 'relative', maxWidth: '100%',
+    width: options.width ? options.width + 'px' : '100%',
+    height: (options.height || 400) + 'px'
+  });
+  Chart.getChart(element.querySelector('canvas'))?.destroy();
+  element.innerHTML = '<canvas></canvas>';
+
+  let chart = new Chart(element.querySelector('canvas'), toConfig(types[type], data, options));
+  element.insertAdjacentHTML('afterend', exportButtons('chart', {
+    chart: { getImageURI: () => chart.toBase64Image() }, element, formats: ['PNG']
+  }));
+}
+
+// a Chart.js config from Google Charts style data and options
+function toConfig({ type, indexAxis = 'x', fill = false }, [headings, ...rows], options) {
+  // (orientation 'vertical' = the categories along the vertical axis)
+  options.orientation && type !== 'scatter' && (indexAxis = options.orientation === 'vertical' ? 'y' : 'x');
+  let value = x => isInterval(x) ? x.value : x;
+  let colors = options.colors || googleColors;
+  let transparent = color => /^#[0-9a-f]{6}$/i.test(color) ? color + '66' : color;
+
+  // one dataset per column after the first
+  // (columns with a role, e.g. { role: 'style' }, are left out)
+  let columns = headings.map((_x, i) => i).filter(i => i > 0 && typeof headings[i] !== 'object');
+  let datasets = columns.map((i, n) => {
+    let color = colors[n % colors.length];
+    let dataset = {
+      label: headings[i],
+      data: rows.map(row => type === 'scatter' ? { x: row[0], y: value(row[i]) } : value(row[i])),
+      backgroundColor: type === 'pie' ? rows.map((_x, j) => colors[j % colors.length]) :
+        fill ? transparent(color) : color,
+      borderColor: type === 'pie' ? '#fff' : color,
+      fill,
+      ...(type === 'line' || type === 'scatter' ? {
+        ...(options.lineWidth !== undefined && { showLine: options.lineWidth > 0, borderWidth: options.lineWidth }),
+        ...(options.pointSize !== undefined && { pointRadius: options.pointSize / 2 }),
+        ...(options.curveType === 'function' && { tension: 0.4 })
+      } : {})
+    };
+    rows.some(row => isInterval(row[i])) &&
+      (dataset.intervals = rows.map(row => isInterval(row[i]) ? [row[i].lower, row[i].upper] : null));
+    return dataset;
+  });
+
+  // linear trendlines: least squares over the x values if they are numbers,
+  // otherwise over 1, 2, 3... (shown in the legend if visibleInLegend)
+  for (let [n, trendline] of Object.entries(type === 'pie' ? {} : options.trendlines || {})) {
+    let dataset = datasets[n];
+    if (!dataset) { continue; }
+    let points = rows.map((row, j) => ({ x: typeof row[0] === 'number' ? row[0] : j + 1, y: value(row[columns[n]]) }))
+      .filter(({ y }) => typeof y === 'number' && !isNaN(y));
+    let mean = key => points.reduce((sum, point) => sum + point[key], 0) / points.length;
+    let mx = mean('x'), my = mean('y');
+    let slope = points.reduce((sum, { x, y }) => sum + (x - mx) * (y - my), 0) /
+      points.reduce((sum, { x }) => sum + (x - mx) ** 2, 0);
+    let fitted = (row, j) => {
+      let x = typeof row[0] === 'number' ? row[0] : j + 1;
+      return my + slope * (x - mx);
+    };
+    datasets.push({
+      type: 'line',
+      label: trendline.label || `${dataset.label} (trend)`,
+      data: rows.map((row, j) => type === 'scatter' ? { x: row[0], y: fitted(row, j) } : fitted(row, j)),
+      borderColor: trendline.color || dataset.borderColor,
+      borderWidth: trendline.lineWidth ?? 2,
+      borderDash: [6, 4],
+      pointRadius: 0,
+      showLine: true,
+      fill: false,
+      hideInLegend: !trendline.visibleInLegend
+    });
+  }
+
+  // the axes - Google's hAxis is always horizontal (x), vAxis vertical (y)
+  let percent = Intl.NumberFormat('sv-SE', { style: 'percent', maximumFractionDigits: 1 });
+  let isPercent = axis => axis?.format === 'percent' || /%$/.test(axis?.format || '');
+  let valueAxis = indexAxis === 'y' ? 'x' : 'y';
+  let axis = (name, google = {}) => ({
+    ...(google.logScale && (name === valueAxis || type === 'scatter') ? { type: 'logarithmic' } : {}),
+    title: { display: !!google.title, text: google.title },
+    min: google.viewWindow?.min,
+    max: google.viewWindow?.max,
+    stacked: !!options.isStacked,
+    ...((name === valueAxis || type === 'scatter') && isPercent(google) ?
+      { ticks: { callback: x => percent.format(x) } } : {})
+  });
+  let valueFormat = isPercent(valueAxis === 'x' ? options.hAxis : options.vAxis) ?
+    x => percent.format(x) : x => x.toLocaleString('sv-SE');
+
+  let legend = typeof options.legend === 'object' ? options.legend?.position : options.legend;
+  return {
+    type,
+    data: {
+      labels: type === 'scatter' ? undefined : rows.map(row => row[0]),
+      datasets
+    },
+    options: {
+      indexAxis,
+      responsive: true,
+      maintainAspectRatio: false,
+      ...(type === 'pie' ? {} : { scales: { x: axis('x', options.hAxis), y: axis('y', options.vAxis) } }),
+      plugins: {
+        title: { display: !!options.title, text: options.title },
+        legend: {
+          display: legend !== 'none',
+          position: ['top', 'bottom', 'left', 'right'].includes(legend) ? legend : 'top',
+          labels: { filter: item => !datasets[item.datasetIndex]?.hideInLegend }
+        },
+        tooltip: {
+          callbacks: {
+            label: ({ dataset, dataIndex, parsed }) => {
+              let interval = dataset.intervals?.[dataIndex];
+              let y = type === 'pie' ? parsed : type === 'scatter' ? parsed.y : parsed[valueAxis];
+              return `${dataset.label}: ${valueFormat(y)}` +
+                (interval ? ` (${valueFormat(interval[0])}–${valueFormat(interval[1])})` : '');
+            }
+          }
+        }
+      },
+      ...options.chartjs
+    },
+    plugins: [errorBars]
+  };
+}
+
+// a Chart.js plugin that draws the intervals of a dataset as error bars
+const errorBars = {
+  id: 'errorBars',
+  afterDatasetsDraw(chart) {
+    let { ctx } = chart;
+    let horizontal = chart.options.indexAxis === 'y';
+    chart.data.datasets.forEach((dataset, i) => {
+      if (!dataset.intervals || !chart.isDatasetVisible(i)) { return; }
+      let scale = chart.scales[horizontal ? 'x' : 'y'];
+      chart.getDatasetMeta(i).data.forEach((point, j) => {
+        let interval = dataset.intervals[j];
+        if (!interval) { return; }
+        let [from, to] = interval.map(x => scale.getPixelForValue(x));
+        let line = (x1, y1, x2, y2) => { ctx.moveTo(x1, y1); ctx.lineTo(x2, y2); };
+        ctx.save();
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        if (horizontal) {
+          line(from, point.y, to, point.y);
+          line(from, point.y - 4, from, point.y + 4);
+          line(to, point.y - 4, to, point.y + 4);
+        }
+        else {
+          line(point.x, from, point.x, to);
+          line(point.x - 4, from, point.x + 4, from);
+          line(point.x - 4, to, point.x + 4, to);
+        }
+        ctx.stroke();
+        ctx.restore();
+      });
+    });
+  }
+};
@@ -1,23 +1,72 @@
-import gv from './wait-for-google-charts.js';
+import gv, { googleChartsError } from './wait-for-google-charts.js';
+import { pageTarget } from './addToPage.js';
+import drawChartJs from './drawChartJs.js';
+import { exportButtons } from './exportData.js';
+import { filterDescription } from './filters.js';
 import jload from './jload.js';
 import $ from './shorthand-query-selector.js';
+import { isInterval } from './stats.js';
 
 let counter = 1;
 
 export default async function drawGoogleChart({ type, data, element, options }) {
+  // without Google Charts (e.g. no internet) draw with Chart.js instead
+  if (!gv) {
+    showGoogleChartsError();
+    try {
+      await drawChartJs({ type, data, element, options });
+    }
+    catch (e) {
+      (element && $(element) || pageTarget()).insertAdjacentHTML('beforeend',
+        `<div class="alert alert-danger">Diagrammet kunde inte ritas: ${e.message}</div>`);
+    }
+    return;
+  }
+
   element = element && $(element);
   if (!element) {
     element = document.createElement('div');
     element.classList.add('chart-' + counter++);
-    document.querySelector('main').append(element);
+    pageTarget().append(element);
   }
 
   if (typeof data === 'string') {
     data = await jload(data);
   }
 
+  // show the active filters in the title
+  let filters = filterDescription();
+  filters && options?.title && (options = { ...options, title: `${options.title} (${filters})` });
+
+  // (the title is also used for figure captions in the report, see report.js)
+  element.dataset.chartTitle = options?.title || '';
+
   let chart = new gv[type](element);
-  chart.draw(gv.toTable(data), options);
+  chart.draw(gv.toTable(expandIntervals(data)), options);
+  element.insertAdjacentHTML('afterend', exportButtons('chart', { chart, element }));
+}
+
+// cells with intervals { value, lower, upper } (see proportionInterval in stats.js)
+// become a value column followed by two interval columns (error bars)
+function expandIntervals([headings, ...rows]) {
+  let hasIntervals = headings.map((_x, i) => rows.some(row => isInterval(row[i])));
+  let interval = { type: 'number', role: 'interval' };
+  return [
+    headings.flatMap((x, i) => hasIntervals[i] ? [x, interval, interval] : [x]),
+    ...rows.map(row => row.flatMap((x, i) => !hasIntervals[i] ? [x] :
+      isInterval(x) ? [x.value, x.lower, x.upper] : [x, null, null]))
+  ];
+}
+
+// a warning at the top of the page (once) that Google Charts is missing
+function showGoogleChartsError() {
+  let main = $('main');
+  main && !main.querySelector('.google-charts-error') && main.insertAdjacentHTML('afterbegin', /*html*/`
+    <div class="alert alert-warning google-charts-error">
+      Google Charts kunde inte laddas, diagrammen ritas med Chart.js istället.
+      <small class="d-block">(${googleChartsError})</small>
+    </div>
+  `);
 }
 
 let timeout;
@@ -0,0 +1,169 @@
+// Export buttons for charts (PNG, SVG) and tables (CSV, JSON, XLSX)
+// - drawGoogleChart and tableFromData add them (see exportButtons)
+// - the table exports use the column names shown in the table,
+//   and intervals { value, lower, upper } become three columns
+
+import { isInterval } from './stats.js';
+
+// what the export buttons export (id -> { kind, ... })
+const exportables = new Map();
+let counter = 1;
+
+// the html for a group of export buttons
+// - kind 'chart': { chart, element } (a drawn Google chart and its element)
+// - kind 'table': { columns, rows } (column names and rows of values)
+// - formats (optional, in what): the formats to offer, e.g. ['PNG']
+// - name: the file name without extension
+export function exportButtons(kind, what, name) {
+  // forget what has been removed from the page
+  for (let id of exportables.keys()) {
+    !document.querySelector(`[data-export-id="${id}"]`) && exportables.delete(id);
+  }
+  let id = counter++;
+  exportables.set(id, { kind, ...what, name: name || `${window.hash || 'export'}-${kind === 'chart' ? 'diagram' : 'tabell'}-${id}` });
+  let formats = what.formats || (kind === 'chart' ? ['PNG', 'SVG'] : ['CSV', 'JSON', 'XLSX']);
+  return /*html*/`
+    <div class="export-buttons btn-group btn-group-sm mb-3" data-export-id="${id}">
+      ${formats.map(x => `<button type="button" class="btn btn-outline-secondary" data-format="${x}">${x}</button>`).join('')}
+    </div>
+  `;
+}
+
+document.body.addEventListener('click', e => {
+  let button = e.target.closest('.export-buttons [data-format]');
+  if (!button) { return; }
+  let item = exportables.get(+button.closest('.export-buttons').dataset.exportId);
+  if (!item) { return; }
+  let format = button.dataset.format, { name } = item;
+  if (format === 'PNG') { download(item.chart.getImageURI(), name + '.png'); }
+  if (format === 'SVG') { download(new Blob([toSvg(item.element)], { type: 'image/svg+xml' }), name + '.svg'); }
+  if (format === 'CSV') { download(new Blob([toCsv(item.columns, item.rows)], { type: 'text/csv' }), name + '.csv'); }
+  if (format === 'JSON') { download(new Blob([toJson(item.columns, item.rows)], { type: 'application/json' }), name + '.json'); }
+  if (format === 'XLSX') {
+    download(new Blob([toXlsx(item.columns, item.rows)],
+      { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), name + '.xlsx');
+  }
+});
+
+// download a blob or a data url as a file
+export function download(blobOrUrl, fileName) {
+  let url = typeof blobOrUrl === 'string' ? blobOrUrl : URL.createObjectURL(blobOrUrl);
+  let link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  typeof blobOrUrl !== 'string' && setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// the svg of a chart, as a standalone svg file
+export function toSvg(element) {
+  let svg = element.querySelector('svg').cloneNode(true);
+  svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg);
+}
+
+// table values as plain values: html tags removed,
+// intervals split into value, lower and upper (three columns)
+function plain(columns, rows) {
+  let intervals = columns.map((_x, i) => rows.some(row => isInterval(row[i])));
+  let text = x => typeof x !== 'string' ? x ?? null :
+    x.replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]*>/g, '').replaceAll('&nbsp;', ' ')
+      .replaceAll('&lt;', '<').replaceAll('&gt;', '>').replaceAll('&amp;', '&');
+  return {
+    columns: columns.flatMap((x, i) => intervals[i] ? [text(x), text(x) + ' nedre', text(x) + ' övre'] : [text(x)]),
+    rows: rows.map(row => row.flatMap((x, i) => !intervals[i] ? [text(x)] :
+      isInterval(x) ? [x.value, x.lower, x.upper] : [text(x), null, null]))
+  };
+}
+
+// csv (RFC 4180, as read by csvParse)
+export function toCsv(columns, rows) {
+  ({ columns, rows } = plain(columns, rows));
+  let field = x => x === null ? '' : /[",\r\n]/.test(x + '') ? `"${(x + '').replaceAll('"', '""')}"` : x + '';
+  return [columns, ...rows].map(row => row.map(field).join(',')).join('\r\n') + '\r\n';
+}
+
+// json: an array of objects with the column names as keys
+export function toJson(columns, rows) {
+  ({ columns, rows } = plain(columns, rows));
+  return JSON.stringify(rows.map(row => Object.fromEntries(columns.map((x, i) => [x, row[i]]))), null, 2);
+}
+
+// xlsx: a workbook with one sheet (the smallest file Excel accepts -
+// inline strings, no styles, in a zip file without compression)
+export function toXlsx(columns, rows, sheetName = 'Data') {
+  ({ columns, rows } = plain(columns, rows));
+  let escape = x => (x + '').replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;').replaceAll('"', '&quot;');
+  let columnName = i => (i >= 26 ? columnName(Math.floor(i / 26) - 1) : '') + String.fromCharCode(65 + i % 26);
+  let cell = (x, i, r) => x === null ? '' : typeof x === 'number' && isFinite(x) ?
+    `<c r="${columnName(i)}${r}"><v>${x}</v></c>` :
+    `<c r="${columnName(i)}${r}" t="inlineStr"><is><t xml:space="preserve">${escape(x)}</t></is></c>`;
+  let xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  let files = {
+    '[Content_Types].xml': xml +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '</Types>',
+    '_rels/.rels': xml +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>',
+    'xl/workbook.xml': xml +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${escape(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels': xml +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '</Relationships>',
+    'xl/worksheets/sheet1.xml': xml +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+      [columns, ...rows].map((row, r) => `<row r="${r + 1}">${row.map((x, i) => cell(x, i, r + 1)).join('')}</row>`).join('') +
+      '</sheetData></worksheet>'
+  };
+  return zip(files);
+}
+
+// crc-32 (as used by zip)
+const crcTable = [...Array(256)].map((_x, n) => {
+  for (let k = 0; k < 8; k++) { n = n & 1 ? 0xEDB88320 ^ (n >>> 1) : n >>> 1; }
+  return n >>> 0;
+});
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let byte of bytes) { crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8); }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// a zip file (stored, i.e. not compressed) from { fileName: text }
+function zip(files) {
+  let encoder = new TextEncoder();
+  let parts = [], central = [], offset = 0;
+  // little endian numbers of 2 or 4 bytes
+  let bytes = (...numbers) => new Uint8Array(numbers.flatMap(([x, size]) =>
+    [...Array(size)].map((_y, i) => (x >>> (8 * i)) & 0xFF)));
+  for (let [name, text] of Object.entries(files)) {
+    let fileName = encoder.encode(name), data = encoder.encode(text);
+    let crc = crc32(data);
+    // version 2.0, flag 0x0800 = utf-8 names, no compression, dated 1980-01-01
+    let common = [[20, 2], [0x0800, 2], [0, 2], [0, 2], [0x21, 2], [crc, 4], [data.length, 4], [data.length, 4], [fileName.length, 2]];
+    let local = [bytes([0x04034b50, 4], ...common, [0, 2]), fileName, data];
+    central.push(bytes([0x02014b50, 4], [20, 2], ...common, [0, 2], [0, 2], [0, 2], [0, 2], [0, 4], [offset, 4]), fileName);
+    parts.push(...local);
+    offset += local.reduce((sum, x) => sum + x.length, 0);
+  }
+  let centralSize = central.reduce((sum, x) => sum + x.length, 0);
+  let count = Object.keys(files).length;
+  let end = bytes([0x06054b50, 4], [0, 2], [0, 2], [count, 2], [count, 2], [centralSize, 4], [offset, 4], [0, 2]);
+  let result = new Uint8Array(offset + centralSize + end.length), position = 0;
+  for (let part of [...parts, ...central, end]) {
+    result.set(part, position);
+    position += part.length;
+  }
+  return result;
+}
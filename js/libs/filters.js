@@ -0,0 +1,140 @@
+import { hashParams, hashWith } from './hashState.js';
+
+// Global filters: a bar under the menu (added by createMenu)
+// that limits every dbQuery to e.g. only women aged 18-22
+//
+// The filter state lives in the url hash, after the page slug:
+//   #somn-och-depression?gender=Female&age=18-22
+// (ranges are written min-max, one side may be left out: 18- or -22)
+//
+// Filter definitions (the option filters in createMenu):
+//   { column, name, type: 'select', options: { value: label, ... } }
+//   { column, name, type: 'range', min, max, step }
+let definitions = [];
+let table = 'student_depression';
+
+// set the filter definitions (and the table they apply to)
+export function setFilters(filters, tableName = table) {
+  definitions = filters;
+  table = tableName;
+}
+
+// the active filters: [{ definition, value }]
+// value = the option value for selects, [min, max] for ranges (null = open)
+// (values not allowed by the definitions are ignored)
+export function activeFilters() {
+  let params = hashParams();
+  let active = [];
+  for (let definition of definitions) {
+    let raw = params.get(definition.column);
+    if (raw === null || raw === '') { continue; }
+    if (definition.type === 'range') {
+      let [min, max] = raw.split('-').map(x => x === '' || isNaN(x) ? null : +x);
+      (min !== null || max !== null) && active.push({ definition, value: [min, max ?? null] });
+    }
+    else if (Object.hasOwn(definition.options, raw)) {
+      active.push({ definition, value: raw });
+    }
+  }
+  return active;
+}
+
+// the filter part of the url hash, e.g. 'gender=Female&age=18-22'
+export function filterQueryString() {
+  let params = new URLSearchParams();
+  for (let { definition, value } of activeFilters()) {
+    params.set(definition.column, Array.isArray(value) ?
+      value.map(x => x ?? '').join('-') : value);
+  }
+  return params.toString();
+}
+
+// describe the active filters, e.g. 'Kön: Kvinna, Ålder: 18–22'
+// ('' if no filters are active)
+export function filterDescription() {
+  return activeFilters().map(({ definition: { name, type, options }, value }) => name + ': ' + (
+    type !== 'range' ? options[value] :
+      value[0] === null ? '≤ ' + value[1] :
+        value[1] === null ? '≥ ' + value[0] : value.join('–')
+  )).join(', ');
+}
+
+// add the active filters to a query: the table is replaced
+// by a common table expression with the same name, holding only the filtered rows
+// (queries not starting with SELECT or WITH are left as they are)
+export function applyFilters(sql) {
+  let quote = name => '"' + name.replaceAll('"', '""') + '"';
+  let literal = x => typeof x === 'number' || /^-?\d+(\.\d+)?$/.test(x) ?
+    String(+x) : `'${String(x).replaceAll("'", "''")}'`;
+  let conditions = activeFilters().map(({ definition: { column, type }, value }) =>
+    type !== 'range' ? `${quote(column)} = ${literal(value)}` :
+      [value[0] !== null && `${quote(column)} >= ${literal(value[0])}`,
+        value[1] !== null && `${quote(column)} <= ${literal(value[1])}`].filter(x => x).join(' AND ')
+  );
+  if (!conditions.length || !new RegExp(`\\b${table}\\b`, 'i').test(sql)) { return sql; }
+  let cte = `${quote(table)} AS (SELECT * FROM main.${quote(table)} WHERE ${conditions.join(' AND ')})`;
+  let withStart = sql.match(/^\s*WITH\s+(RECURSIVE\s+)?/i);
+  return withStart ? withStart[0] + cte + ',\n' + sql.slice(withStart[0].length) :
+    /^\s*SELECT\b/i.test(sql) ? `WITH ${cte}\n${sql}` : sql;
+}
+
+// a position in a query from applyFilters -> the position in the original query
+// (the filters are inserted before anything the original query says)
+export function unfilteredPosition(position, sql, filteredSql) {
+  return typeof position !== 'number' ? position :
+    Math.max(0, position - (filteredSql.length - sql.length));
+}
+
+// the html for the filter bar
+export function filterBar() {
+  let field = ({ column, name, type, options, min, max, step = 1 }) => type === 'range' ? /*html*/`
+    <label class="me-3">${name}:
+      <input type="number" class="form-control form-control-sm d-inline-block w-auto" data-filter="${column}" data-side="min"
+        min="${min}" max="${max}" step="${step}" placeholder="${min}">
+      –
+      <input type="number" class="form-control form-control-sm d-inline-block w-auto" data-filter="${column}" data-side="max"
+        min="${min}" max="${max}" step="${step}" placeholder="${max}">
+    </label>
+  ` : /*html*/`
+    <label class="me-3">${name}:
+      <select class="form-select form-select-sm d-inline-block w-auto" data-filter="${column}">
+        <option value="">Alla</option>
+        ${Object.entries(options).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+      </select>
+    </label>
+  `;
+  return /*html*/`
+    <div class="filter-bar container-fluid py-2 bg-body-secondary border-bottom">
+      <span class="me-3">Filter:</span>
+      ${definitions.map(field).join('')}
+      <button type="button" class="btn btn-sm btn-outline-secondary filter-reset">Rensa</button>
+    </div>
+  `;
+}
+
+// show the active filters in the filter bar
+export function showFilters() {
+  let active = activeFilters();
+  for (let input of document.querySelectorAll('.filter-bar [data-filter]')) {
+    let value = active.find(x => x.definition.column === input.dataset.filter)?.value;
+    input.value = value === undefined ? '' :
+      Array.isArray(value) ? value[input.dataset.side === 'min' ? 0 : 1] ?? '' : value;
+  }
+}
+
+// change the url hash when a filter changes
+// (navigation then reloads the page script, see hashNav in createMenu)
+export function bindFilterBar() {
+  let bar = document.querySelector('.filter-bar');
+  let update = reset => {
+    let changes = {};
+    definitions.forEach(({ column, type }) => {
+      let inputs = [...bar.querySelectorAll(`[data-filter="${column}"]`)];
+      let value = type === 'range' ? inputs.map(x => x.value).join('-') : inputs[0].value;
+      changes[column] = reset || value === '-' ? null : value;
+    });
+    location.hash = hashWith(changes);
+  };
+  bar.addEventListener('change', () => update(false));
+  bar.querySelector('.filter-reset').addEventListener('click', () => update(true));
+}
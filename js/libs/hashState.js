@@ -0,0 +1,32 @@
+// State in the url hash, so that a link shows the same thing to everyone:
+// the page slug, optionally followed by params for the filters (see filters.js)
+// and for widgets such as dropdowns (see addDropdown.js)
+//   #ekonomisk-stress-och-depression?sel1=4&gender=Female
+
+// the params in the url hash (after ?)
+export function hashParams() {
+  return new URLSearchParams(location.hash.split('?')[1] || '');
+}
+
+// the url hash with some params changed
+// (changes: { name: value }, a value of null, undefined or '' removes the param)
+export function hashWith(changes) {
+  let params = hashParams();
+  for (let [name, value] of Object.entries(changes)) {
+    value === null || value === undefined || value === '' ?
+      params.delete(name) : params.set(name, value);
+  }
+  let query = params.toString();
+  let slug = window.hash ?? location.hash.slice(1).split('?')[0];
+  return '#' + slug + (query ? '?' + query : '');
+}
+
+// change params in the url hash without navigating
+// - push: true adds a history entry (so that back/forward restores the state),
+//   false replaces the current one
+// (back/forward fires hashchange, which reloads the page script with the state
+//  from the hash - see hashNav in createMenu)
+export function setHashParams(changes, push = true) {
+  let hash = hashWith(changes);
+  hash !== location.hash && history[push ? 'pushState' : 'replaceState'](null, '', hash);
+}
@@ -1,10 +1,14 @@
-// Warn if using Live Server / not using our new backedn
-let isRealBackend = await(await fetch('/api/is-real-backend')).json().catch(e => alert(
-  'Version 4 of the Statistics Template says:\n\n' +
-  '- Stop using Live Server!\n' +
-  '- Instead start from the VSC terminal by writing npm start\n\n' +
-  '(In order for this to work you must have installed Node.js.)'
-));
+import { hasBackend } from './sqliteWasm.js';
+import { isStatic } from './staticMode.js';
+
+// If /api/is-real-backend does not answer, the queries are run in the browser
+// instead (see sqliteWasm.js), so just tell how to get live reload
+// (the static export has no backend at all - see staticMode.js)
+let isRealBackend = await hasBackend();
+!isRealBackend && !isStatic && console.info(
+  'No backend found - the database is queried in the browser.\n' +
+  'Start from the VSC terminal by writing npm start to use the backend (and live reload).'
+);
 
 // Reload if the SSE source closes
 // (which it does on file changes since we start using nodemon)
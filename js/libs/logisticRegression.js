@@ -0,0 +1,153 @@
+import { probit } from './simple-statistics.js';
+import { chiSquarePValue } from './stats.js';
+
+// Logistic regression of a binary outcome (e.g. depression 0/1)
+// on several predictors at the same time
+//
+// Fitted by iteratively reweighted least squares (IRLS) on grouped data,
+// one row per combination of predictor values with the number of students
+// and the number of cases (see regressionQuery):
+//   { academicPressure: 3, gender: 'Male', antal: 120, depressiva: 71 }
+//
+// predictors: settings as in factors.js { column, order, labels, groupName },
+// plus (optional)
+//   numeric    true to use the value as it is (e.g. age),
+//              otherwise the column is categorical and one-hot encoded:
+//              one term per value except the reference
+//   reference  the reference value (default: the first in order)
+//
+// (throws an Error if there are no students, if all or none of them are cases,
+//  or if the predictors are linearly dependent)
+//
+// returns {
+//   coefficients   [{ term, column, value, estimate, standardError, z, pValue,
+//                     oddsRatio, lower, upper }] (lower/upper: CI of the odds ratio)
+//   references     [{ column, term }] the reference value of each categorical predictor
+//   n, cases, logLikelihood, nullLogLikelihood,
+//   pseudoR2       McFadden's pseudo R²
+//   iterations, converged
+// }
+export default function logisticRegression(rows, {
+  predictors, total = 'antal', cases = 'depressiva',
+  confidence = 0.95, maxIterations = 50, tolerance = 1e-8
+}) {
+  // the terms (columns of the design matrix), starting with the intercept
+  let terms = [{ term: 'Intercept', column: null, value: null, code: () => 1 }];
+  let references = [];
+  for (let { column, order, labels = {}, groupName = column, numeric, reference } of predictors) {
+    if (numeric) {
+      // (left out if only one value has students, e.g. when the data is filtered)
+      new Set(rows.filter(row => +row[total] > 0).map(row => +row[column])).size > 1 &&
+        terms.push({ term: groupName, column, value: null, code: row => +row[column] });
+      continue;
+    }
+    // (values without students are left out, e.g. when the data is filtered,
+    //  and so is a predictor with only one value left)
+    let values = (order || [...new Set(rows.map(x => x[column]))].sort((a, b) => a < b ? -1 : a > b ? 1 : 0))
+      .filter(value => rows.some(row => row[column] === value && +row[total] > 0));
+    if (values.length < 2) { continue; }
+    values.includes(reference) || (reference = values[0]);
+    references.push({ column, term: `${groupName}: ${labels[reference] ?? reference}` });
+    for (let value of values.filter(x => x !== reference)) {
+      terms.push({
+        term: `${groupName}: ${labels[value] ?? value}`, column, value,
+        code: row => row[column] === value ? 1 : 0
+      });
+    }
+  }
+  let x = rows.map(row => terms.map(({ code }) => code(row)));
+  let n = rows.map(row => +row[total]), y = rows.map(row => +row[cases]);
+  let sumN = n.reduce((a, b) => a + b, 0), sumY = y.reduce((a, b) => a + b, 0);
+  if (!sumN || !sumY || sumY === sumN) {
+    throw new Error(`logisticRegression: the model needs both cases and non-cases (${sumY} of ${sumN} students are cases)`);
+  }
+
+  // IRLS (Newton-Raphson): beta += (X'WX)^-1 X'(y - n p)
+  let beta = terms.map((_x, i) => i === 0 ? Math.log(sumY / (sumN - sumY)) : 0);
+  let iterations = 0, converged = false, covariance;
+  const probabilities = () => x.map(row => 1 / (1 + Math.exp(-row.reduce((sum, xj, j) => sum + xj * beta[j], 0))));
+  while (iterations < maxIterations) {
+    iterations++;
+    let p = probabilities();
+    let information = terms.map((_a, j) => terms.map((_b, k) =>
+      x.reduce((sum, row, i) => sum + row[j] * row[k] * n[i] * p[i] * (1 - p[i]), 0)));
+    let gradient = terms.map((_a, j) => x.reduce((sum, row, i) => sum + row[j] * (y[i] - n[i] * p[i]), 0));
+    covariance = invert(information);
+    let step = covariance.map(row => row.reduce((sum, c, k) => sum + c * gradient[k], 0));
+    beta = beta.map((b, j) => b + step[j]);
+    if (Math.max(...step.map(Math.abs)) < tolerance) { converged = true; break; }
+  }
+
+  let p = probabilities();
+  let logLikelihood = p.reduce((sum, pi, i) => sum + y[i] * Math.log(pi) + (n[i] - y[i]) * Math.log(1 - pi), 0);
+  let mean = sumY / sumN;
+  let nullLogLikelihood = sumY * Math.log(mean) + (sumN - sumY) * Math.log(1 - mean);
+  let zCritical = probit(1 - (1 - confidence) / 2);
+  return {
+    coefficients: terms.map(({ term, column, value }, j) => {
+      let estimate = beta[j], standardError = Math.sqrt(covariance[j][j]), z = estimate / standardError;
+      return {
+        term, column, value, estimate, standardError, z,
+        pValue: chiSquarePValue(z ** 2, 1),
+        oddsRatio: Math.exp(estimate),
+        lower: Math.exp(estimate - zCritical * standardError),
+        upper: Math.exp(estimate + zCritical * standardError)
+      };
+    }),
+    references,
+    n: sumN, cases: sumY,
+    logLikelihood, nullLogLikelihood,
+    pseudoR2: 1 - logLikelihood / nullLogLikelihood,
+    iterations, converged
+  };
+}
+
+// the GROUP BY query for the predictors: one row per combination of values
+// with antal (students) and depressiva (cases)
+// (order values are bound as parameters, in the order of the predictors -
+//  use regressionParams to get them)
+// (a predictor with an expression, e.g. bands, is grouped by it - named as its column)
+export function regressionQuery(predictors) {
+  let quote = column => '"' + column.replaceAll('"', '""') + '"';
+  let group = x => x.expression ? `(${x.expression})` : quote(x.column);
+  let groups = predictors.map(group).join(', ');
+  let where = predictors.filter(x => x.order)
+    .map(x => `${group(x)} IN (${x.order.map(() => '?').join(', ')})`);
+  return `
+    SELECT ${predictors.map(x => `${group(x)} AS ${quote(x.column)}`).join(', ')},
+           COUNT(*) AS antal,
+           SUM(depression) AS depressiva
+    FROM student_depression
+    ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    GROUP BY ${groups}
+  `;
+}
+
+// the parameters for regressionQuery
+export function regressionParams(predictors) {
+  return predictors.flatMap(x => x.order || []);
+}
+
+// invert a symmetric positive definite matrix (Gauss-Jordan with pivoting)
+function invert(matrix) {
+  let size = matrix.length;
+  let a = matrix.map((row, i) => [...row, ...row.map((_x, j) => i === j ? 1 : 0)]);
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      Math.abs(a[row][col]) > Math.abs(a[pivot][col]) && (pivot = row);
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) {
+      throw new Error('logisticRegression: the predictors are linearly dependent (or a value has no students)');
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    let divisor = a[col][col];
+    a[col] = a[col].map(x => x / divisor);
+    for (let row = 0; row < size; row++) {
+      if (row === col) { continue; }
+      let factor = a[row][col];
+      factor && (a[row] = a[row].map((x, j) => x - factor * a[col][j]));
+    }
+  }
+  return a.map(row => row.slice(size));
+}
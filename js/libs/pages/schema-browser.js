@@ -0,0 +1,39 @@
+import addMdToPage from '../addMdToPage.js';
+import jload from '../jload.js';
+import tableFromData from '../tableFromData.js';
+
+// built-in page: browse the tables and columns of the active database
+// register it in _menu.js with
+// { name: 'Databasschema', script: 'libs/pages/schema-browser.js' }
+
+let schema = await jload('/api/schema');
+
+addMdToPage(`
+## Databasschema
+
+Tabeller och kolumner i databasen som används just nu.
+`);
+
+if (!Array.isArray(schema)) {
+  addMdToPage(`**Kunde inte läsa schemat:** ${schema.error}`);
+}
+
+for (let { name, rowCount, columns } of Array.isArray(schema) ? schema : []) {
+  addMdToPage(`
+### ${name}
+
+${rowCount} rader, ${columns.length} kolumner
+`);
+  tableFromData({
+    data: columns.map(({ name, type, distinctCount, primaryKey, notNull }) => ({
+      name,
+      type: type || '–',
+      distinctCount,
+      primaryKey: primaryKey ? 'Ja' : 'Nej',
+      notNull: notNull ? 'Ja' : 'Nej'
+    })),
+    columnNames: ['Kolumn', 'Datatyp', 'Unika värden', 'Primärnyckel', 'NOT NULL'],
+    // (the schema is not affected by the filters)
+    filtered: false
+  });
+}
@@ -0,0 +1,55 @@
+import addMdToPage from './addMdToPage.js';
+import { renderInto } from './addToPage.js';
+import { filterDescription } from './filters.js';
+
+// Report mode (the route /report): every page in the menu, in order,
+// in one long document with a table of contents and numbered
+// figures and tables - meant to be printed or saved as pdf
+// (see the print css in style.css)
+export default async function createReport(siteName, menuDataFlat) {
+  document.body.classList.add('report-mode');
+  document.querySelector('header').innerHTML = '';
+  let main = document.querySelector('main');
+  main.innerHTML = '';
+  let filters = filterDescription();
+  addMdToPage(`
+# ${siteName}
+
+*Rapport skapad ${new Date().toLocaleDateString('sv-SE')}${filters ? ` – filter: ${filters}` : ''}*
+  `);
+  main.insertAdjacentHTML('beforeend', /*html*/`
+    <nav class="report-toc">
+      <h2>Innehåll</h2>
+      <ol>
+        ${menuDataFlat.map(({ name, slug }) => `<li><a href="#report-${slug.slice(1)}">${name}</a></li>`).join('')}
+      </ol>
+    </nav>
+  `);
+
+  // run the page scripts one at a time, each into its own section
+  for (let { name, slug, script } of menuDataFlat) {
+    main.insertAdjacentHTML('beforeend',
+      `<section class="report-section" id="report-${slug.slice(1)}" data-name="${name}"></section>`);
+    let section = main.lastElementChild;
+    try {
+      await renderInto(section, () => import('/js/' + script + '?report'));
+    }
+    catch (e) {
+      section.insertAdjacentHTML('beforeend',
+        `<div class="alert alert-danger">Kunde inte skapa avsnittet ${name}: ${e.message}</div>`);
+    }
+  }
+
+  numberFiguresAndTables(main);
+}
+
+// add "Figur 1: ..." below each chart and "Tabell 1" to each table caption
+function numberFiguresAndTables(main) {
+  [...main.querySelectorAll('[data-chart-title]')].forEach((chart, i) => chart.insertAdjacentHTML('afterend',
+    `<p class="figure-caption"><b>Figur ${i + 1}:</b> ${chart.dataset.chartTitle}</p>`));
+  [...main.querySelectorAll('.report-section table.table')].forEach((table, i) => {
+    let caption = table.querySelector('caption') ||
+      table.insertAdjacentElement('afterbegin', Object.assign(document.createElement('caption'), { className: 'caption-top' }));
+    caption.innerHTML = `<b>Tabell ${i + 1}${caption.innerHTML ? ':' : ''}</b> ${caption.innerHTML}`;
+  });
+}
@@ -0,0 +1,142 @@
+import { isStatic } from './staticMode.js';
+
+// dbQuery without the backend: the database file is loaded into the browser
+// and queried with sql.js (SQLite compiled to WebAssembly)
+// - used by dbQuery in the static export, for queries without a snapshot,
+//   and if /api/is-real-backend does not answer
+//   (the main folder can not be served without the backend, e.g. by Live Server -
+//    index.html loads the page scripts through /api/getMainScript)
+// - the database is read from /sqlite-databases (the one in database-in-use.json,
+//   or the one named in the db option of dbQuery) and opened read-only
+// - the same queries as in the backend are allowed (see backend/queryWorker.js):
+//   a single statement that returns rows and does not write
+// - sql.js is loaded from the copy in /vendor/sql.js (see backend/vendor.js)
+const sqlJsFolder = '/vendor/sql.js/';
+const maxRows = 100000;
+
+// is the backend there? (only asked once)
+let backend;
+export function hasBackend() {
+  backend ??= isStatic ? Promise.resolve(false) : fetch('/api/is-real-backend')
+    .then(x => x.ok && x.json()).then(x => x === true, () => false);
+  return backend;
+}
+
+function loadScript(src) {
+  return new Promise((resolve, reject) => {
+    let script = document.createElement('script');
+    script.src = src;
+    script.onload = resolve;
+    script.onerror = () => { script.remove(); reject(); };
+    document.head.append(script);
+  });
+}
+
+// load sql.js (once)
+let sqlJs;
+function loadSqlJs() {
+  sqlJs ??= (async () => {
+    globalThis.initSqlJs || await loadScript(sqlJsFolder + 'sql-wasm.js').catch(() => { });
+    if (!globalThis.initSqlJs) { throw new Error('Could not load sql.js'); }
+    return initSqlJs({ locateFile: file => sqlJsFolder + file });
+  })();
+  return sqlJs;
+}
+
+// load a database file (once per file)
+const databases = {};
+function loadDatabase(db) {
+  databases[db || ''] ??= (async () => {
+    let file = db ? (/\.(db|sqlite3?)$/i.test(db) ? db : db + '.db') :
+      await (await fetch('/sqlite-databases/database-in-use.json')).json();
+    let response = await fetch('/sqlite-databases/' + file);
+    if (!response.ok) { throw new Error(`Could not load the database ${file}`); }
+    let SQL = await loadSqlJs();
+    let database = new SQL.Database(new Uint8Array(await response.arrayBuffer()));
+    // (as the read-only connection in the backend - writes fail)
+    database.run('PRAGMA query_only = ON');
+    return database;
+  })();
+  return databases[db || ''];
+}
+
+// a structured query error, as from the backend
+function queryError(message, code, position = null) {
+  return Object.assign(new Error(message), { code, position });
+}
+
+// an error from sqlite, with the position of the token it complains about
+function sqliteError(e, sql) {
+  if (/readonly database/.test(e.message)) {
+    return queryError('Only read-only queries returning rows can be run!', 'NOT_READ_ONLY');
+  }
+  let match = e.message.match(/near "(.*?)"|no such (?:column|table|function): (\S+)/) || [];
+  let token = match[1] ?? match[2], position = token === undefined ? -1 : sql.indexOf(token);
+  return queryError(e.message, 'SQLITE_ERROR', position < 0 ? null : position);
+}
+
+// prepare a read-only query, with the same checks as the backend
+// (sql.js would otherwise run the first statement and ignore the rest)
+function prepare(database, sql) {
+  if (typeof sql !== 'string' || !sql.trim()) {
+    throw queryError('No query to run!', 'EMPTY_QUERY');
+  }
+  let count = 0;
+  try {
+    for (let statement of database.iterateStatements(sql)) {
+      statement.free();
+      if (++count > 1) { break; }
+    }
+  }
+  catch (e) {
+    // (an error in a later statement - there is more than one)
+    if (!count) { throw sqliteError(e, sql); }
+    count = 2;
+  }
+  if (!count) { throw queryError('No query to run!', 'EMPTY_QUERY'); }
+  if (count > 1) { throw queryError('Only one statement can be run per query!', 'MULTIPLE_STATEMENTS'); }
+  let statement = database.prepare(sql);
+  if (!statement.getColumnNames().length) {
+    statement.free();
+    throw queryError('Only read-only queries returning rows can be run!', 'NOT_READ_ONLY');
+  }
+  return statement;
+}
+
+// run a query in the browser
+// - same arguments and results as dbQuery
+//   (rows are objects, at most maxRows of them)
+// - throws an Error with code and position, like dbQuery
+export default async function wasmQuery(sql, params, { db, maxRows: limit = maxRows } = {}) {
+  let database;
+  try {
+    database = await loadDatabase(db);
+  }
+  catch (e) {
+    delete databases[db || ''];
+    throw queryError(e.message, 'NO_DATABASE');
+  }
+  let statement = prepare(database, sql);
+  try {
+    // named params: sql.js wants the prefix (:name, @name or $name) in the keys
+    params && statement.bind(Array.isArray(params) ? params : Object.fromEntries(
+      Object.entries(params).flatMap(([key, value]) => /^[:@$]/.test(key) ? [[key, value]] :
+        [':', '@', '$'].map(prefix => [prefix + key, value]))
+    ));
+    let rows = [];
+    while (statement.step()) {
+      if (rows.length === Math.min(limit, maxRows)) {
+        console.warn(`dbQuery: only the first ${rows.length} rows were returned`, sql);
+        break;
+      }
+      rows.push(statement.getAsObject());
+    }
+    return rows;
+  }
+  catch (e) {
+    throw sqliteError(e, sql);
+  }
+  finally {
+    statement.free();
+  }
+}
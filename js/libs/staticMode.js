@@ -0,0 +1,30 @@
+// Static mode: the site exported by npm run build-static (see backend/buildStatic.js)
+// runs without the backend - dbQuery reads saved query results (snapshots)
+// from /snapshots/<key>.json instead of asking /api/dbquery
+export const isStatic = !!globalThis.document?.querySelector('meta[name="static-mode"]');
+
+// the snapshot key for a dbQuery request body (the json string sent to /api/dbquery)
+// (cyrb53, a 53-bit string hash - works without crypto.subtle, i.e. also over http)
+export function snapshotKey(body) {
+  let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+  for (let i = 0; i < body.length; i++) {
+    let char = body.charCodeAt(i);
+    h1 = Math.imul(h1 ^ char, 2654435761);
+    h2 = Math.imul(h2 ^ char, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+// read the saved result of a query
+// - throws an Error (code NOT_IN_SNAPSHOT) if the query was not run when exporting
+//   (e.g. a dropdown combination that the export did not try)
+export async function readSnapshot(body) {
+  let response = await fetch('/snapshots/' + snapshotKey(body) + '.json');
+  if (!response.ok) {
+    throw Object.assign(new Error('This query is not available in the static version of the site!'),
+      { code: 'NOT_IN_SNAPSHOT', position: null });
+  }
+  return response.json();
+}
@@ -0,0 +1,342 @@
+import jerzy from './jerzy.js';
+import { gammaln, probit } from './simple-statistics.js';
+
+// Statistical tests for the relation between a grouping (a factor)
+// and a binary outcome (e.g. depression 0/1)
+//
+// The tests take rows as returned by dbQuery from a GROUP BY query,
+// one row per group with the number of students and the number of cases:
+//   SELECT sleepDuration, COUNT(*), SUM(depression) ... GROUP BY sleepDuration
+// By default the first three columns are used as group, total and cases,
+// use the keys argument to name other columns: { group, total, cases }
+//
+// Each test returns
+// { test, statistic, df, pValue, effectSize, effectSizeName }
+// If there is nothing to test (e.g. no students, or only one group with students)
+// statistic, pValue and effectSize are NaN and df is 0 - check with hasResult
+
+// read the group, total and cases of each row
+function readRows(rows, { group, total, cases } = {}) {
+  let keys = Object.keys(rows[0] || {});
+  group ??= keys[0];
+  total ??= keys[1];
+  cases ??= keys[2];
+  return rows.map(row => ({ group: row[group], total: +row[total], cases: +row[cases] }));
+}
+
+// the result of a test that could not be computed
+function noResult(test, effectSizeName) {
+  return { test, statistic: NaN, df: 0, pValue: NaN, effectSize: NaN, effectSizeName };
+}
+
+// true if the test result (from one of the tests here) could be computed
+export function hasResult(result) {
+  return !!result && !isNaN(result.pValue);
+}
+
+// regularized upper incomplete gamma function Q(a, x)
+// (series / continued fraction, as in Numerical Recipes)
+function gammaQ(a, x) {
+  if (x <= 0) { return 1; }
+  let logPrefix = -x + a * Math.log(x) - gammaln(a);
+  if (x < a + 1) {
+    let term = 1 / a, sum = term;
+    for (let n = 1; n < 1000 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+      term *= x / (a + n);
+      sum += term;
+    }
+    return Math.max(0, 1 - sum * Math.exp(logPrefix));
+  }
+  let tiny = 1e-300, b = x + 1 - a, c = 1 / tiny, d = 1 / b, h = d;
+  for (let i = 1; i < 1000; i++) {
+    let an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    Math.abs(d) < tiny && (d = tiny);
+    c = b + an / c;
+    Math.abs(c) < tiny && (c = tiny);
+    d = 1 / d;
+    h *= d * c;
+    if (Math.abs(d * c - 1) < 1e-15) { break; }
+  }
+  return Math.exp(logPrefix) * h;
+}
+
+// regularized incomplete beta function I_x(a, b)
+// (continued fraction, as in Numerical Recipes)
+export function incompleteBeta(x, a, b) {
+  if (x <= 0) { return 0; }
+  if (x >= 1) { return 1; }
+  if (x > (a + 1) / (a + b + 2)) { return 1 - incompleteBeta(1 - x, b, a); }
+  let logPrefix = gammaln(a + b) - gammaln(a) - gammaln(b) + a * Math.log(x) + b * Math.log(1 - x);
+  let tiny = 1e-300, c = 1, d = 1 - (a + b) * x / (a + 1);
+  Math.abs(d) < tiny && (d = tiny);
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m < 1000; m++) {
+    for (let an of [
+      m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m)),
+      -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1))
+    ]) {
+      d = 1 + an * d;
+      Math.abs(d) < tiny && (d = tiny);
+      c = 1 + an / c;
+      Math.abs(c) < tiny && (c = tiny);
+      d = 1 / d;
+      h *= d * c;
+    }
+    if (Math.abs(d * c - 1) < 1e-15) { break; }
+  }
+  return Math.exp(logPrefix) * h / a;
+}
+
+// the probability of an F value this large or larger
+export function fPValue(statistic, df1, df2) {
+  return incompleteBeta(df2 / (df2 + df1 * statistic), df2 / 2, df1 / 2);
+}
+
+// the probability of a chi-square value this large or larger
+export function chiSquarePValue(statistic, df) {
+  return gammaQ(df / 2, statistic / 2);
+}
+
+// chi-square test of independence for a contingency table
+// (an array of rows with counts, e.g. [[10, 20], [30, 40]])
+// - rows and columns without any counts are ignored
+//   (no result if fewer than two rows or columns are left)
+export function chiSquareTest(table) {
+  table = table.filter(row => row.some(x => x > 0));
+  let columns = (table[0] || []).map((_x, j) => j).filter(j => table.some(row => row[j] > 0));
+  if (table.length < 2 || columns.length < 2) { return noResult('Chi-square-test', 'Cramérs V'); }
+  table = table.map(row => columns.map(j => row[j]));
+  let rowSums = table.map(row => row.reduce((a, b) => a + b, 0));
+  let colSums = table[0].map((_x, j) => table.reduce((sum, row) => sum + row[j], 0));
+  let n = rowSums.reduce((a, b) => a + b, 0);
+  let statistic = 0;
+  table.forEach((row, i) => row.forEach((observed, j) => {
+    let expected = rowSums[i] * colSums[j] / n;
+    statistic += (observed - expected) ** 2 / expected;
+  }));
+  let df = (table.length - 1) * (colSums.length - 1);
+  let minDim = Math.min(table.length, colSums.length);
+  return {
+    test: 'Chi-square-test',
+    statistic, df,
+    pValue: chiSquarePValue(statistic, df),
+    effectSize: Math.sqrt(statistic / (n * (minDim - 1))),
+    effectSizeName: 'Cramérs V'
+  };
+}
+
+// chi-square test of independence between group and outcome
+export function chiSquareIndependence(rows, keys) {
+  return chiSquareTest(readRows(rows, keys).map(({ total, cases }) => [cases, total - cases]));
+}
+
+// Cramér's V for the relation between group and outcome
+// (or for a contingency table, see chiSquareTest)
+export function cramersV(rowsOrTable, keys) {
+  return (Array.isArray(rowsOrTable[0]) ?
+    chiSquareTest(rowsOrTable) : chiSquareIndependence(rowsOrTable, keys)).effectSize;
+}
+
+// chi-square test for linear trend (Cochran-Armitage)
+// - for ordered groups, in the order of the rows
+// - scores: the group values if they are numbers, otherwise 1, 2, 3...
+//   (or pass scores: [...] in keys)
+// - effect size: the correlation r between score and outcome
+export function chiSquareTrend(rows, keys = {}) {
+  let groups = readRows(rows, keys);
+  let scores = keys.scores || (groups.every(x => typeof x.group === 'number') ?
+    groups.map(x => x.group) : groups.map((_x, i) => i + 1));
+  let n = groups.reduce((sum, x) => sum + x.total, 0);
+  let cases = groups.reduce((sum, x) => sum + x.cases, 0);
+  let p = cases / n;
+  if (groups.filter(x => x.total > 0).length < 2 || !(p > 0 && p < 1)) {
+    return { ...noResult('Chi-square-test för linjär trend', 'r'), z: NaN };
+  }
+  let meanScore = groups.reduce((sum, x, i) => sum + x.total * scores[i], 0) / n;
+  let t = groups.reduce((sum, x, i) => sum + (scores[i] - meanScore) * (x.cases - x.total * p), 0);
+  let sxx = groups.reduce((sum, x, i) => sum + x.total * (scores[i] - meanScore) ** 2, 0);
+  let statistic = t ** 2 / (p * (1 - p) * sxx);
+  return {
+    test: 'Chi-square-test för linjär trend',
+    statistic, df: 1,
+    z: t / Math.sqrt(p * (1 - p) * sxx),
+    pValue: chiSquarePValue(statistic, 1),
+    effectSize: Math.sign(t) * Math.sqrt(statistic / n),
+    effectSizeName: 'r'
+  };
+}
+
+// point-biserial correlation between the group (as a number) and the outcome
+// - scores as in chiSquareTrend (the correlation is its effect size r)
+export function pointBiserial(rows, keys) {
+  return chiSquareTrend(rows, keys).effectSize;
+}
+
+// mutual information (in bits) between group and outcome:
+// how much knowing the group reduces the uncertainty about the outcome
+export function mutualInformation(rows, keys) {
+  let groups = readRows(rows, keys).filter(x => x.total > 0);
+  let n = groups.reduce((sum, x) => sum + x.total, 0);
+  let cases = groups.reduce((sum, x) => sum + x.cases, 0);
+  let entropy = p => p <= 0 || p >= 1 ? 0 : -p * Math.log2(p) - (1 - p) * Math.log2(1 - p);
+  return entropy(cases / n) - groups.reduce((sum, x) => sum + x.total / n * entropy(x.cases / x.total), 0);
+}
+
+// the odds ratio for the outcome between two groups,
+// (cases1 / non-cases1) / (cases2 / non-cases2), with its confidence interval
+// (Woolf's method; 0.5 is added to each count if one of them is 0)
+// returns { value, lower, upper, unit } like proportionInterval
+export function oddsRatio(cases1, total1, cases2, total2, confidence = 0.95) {
+  let counts = [cases1, total1 - cases1, cases2, total2 - cases2];
+  counts.includes(0) && (counts = counts.map(x => x + 0.5));
+  let [a, b, c, d] = counts;
+  let logOdds = Math.log(a * d / (b * c));
+  let margin = probit(1 - (1 - confidence) / 2) * Math.sqrt(1 / a + 1 / b + 1 / c + 1 / d);
+  return {
+    value: Math.exp(logOdds),
+    lower: Math.exp(logOdds - margin),
+    upper: Math.exp(logOdds + margin),
+    unit: ''
+  };
+}
+
+// expand the groups to one 0/1 observation per student
+function observations(groups) {
+  let group = [], outcome = [];
+  for (let { group: g, total, cases } of groups) {
+    for (let i = 0; i < total; i++) {
+      group.push(g);
+      outcome.push(i < cases ? 1 : 0);
+    }
+  }
+  return { group, outcome };
+}
+
+// the groups with students, or null if there is nothing to compare
+// (fewer than two such groups, or the same outcome for every student)
+function comparableGroups(rows, keys) {
+  let groups = readRows(rows, keys).filter(x => x.total > 0);
+  let cases = groups.reduce((sum, x) => sum + x.cases, 0);
+  let n = groups.reduce((sum, x) => sum + x.total, 0);
+  return groups.length < 2 || cases === 0 || cases === n ? null : groups;
+}
+
+// one-way ANOVA of the outcome between groups (using jerzy)
+// - the p-value is computed here, since jerzy's F distribution
+//   does not handle the large number of degrees of freedom
+// - effect size: eta squared
+export function anova(rows, keys) {
+  let groups = comparableGroups(rows, keys);
+  if (!groups) { return noResult('Envägs-ANOVA', 'η²'); }
+  let { group, outcome } = observations(groups);
+  let result = jerzy.Anova.oneway(new jerzy.Factor(group), new jerzy.Vector(outcome));
+  return {
+    test: 'Envägs-ANOVA',
+    statistic: result.f,
+    df: [result.tdf, result.edf],
+    pValue: fPValue(result.f, result.tdf, result.edf),
+    effectSize: result.tss / (result.tss + result.ess),
+    effectSizeName: 'η²'
+  };
+}
+
+// Kruskal-Wallis test of the outcome between groups
+// (with correction for ties - a binary outcome has only two ranks)
+// - effect size: epsilon squared
+export function kruskalWallis(rows, keys) {
+  let groups = comparableGroups(rows, keys);
+  if (!groups) { return noResult('Kruskal-Wallis-test', 'ε²'); }
+  let n = groups.reduce((sum, x) => sum + x.total, 0);
+  let cases = groups.reduce((sum, x) => sum + x.cases, 0);
+  let nonCases = n - cases;
+  // average ranks for 0 and 1
+  let rank0 = (nonCases + 1) / 2, rank1 = nonCases + (cases + 1) / 2;
+  let h = 12 / (n * (n + 1)) * groups.reduce((sum, { total, cases }) =>
+    sum + ((total - cases) * rank0 + cases * rank1) ** 2 / total, 0) - 3 * (n + 1);
+  let ties = 1 - (nonCases ** 3 - nonCases + cases ** 3 - cases) / (n ** 3 - n);
+  let statistic = h / ties;
+  let df = groups.length - 1;
+  return {
+    test: 'Kruskal-Wallis-test',
+    statistic, df,
+    pValue: chiSquarePValue(statistic, df),
+    effectSize: statistic / (n - 1),
+    effectSizeName: 'ε²'
+  };
+}
+
+// Wilson score interval for the proportion cases / total
+// returns { lower, upper } (proportions 0-1)
+// (0-1 if total is 0, as the Clopper-Pearson interval)
+export function wilsonInterval(cases, total, confidence = 0.95) {
+  if (!total) { return { lower: 0, upper: 1 }; }
+  let z = probit(1 - (1 - confidence) / 2), p = cases / total;
+  let center = (p + z ** 2 / (2 * total)) / (1 + z ** 2 / total);
+  let margin = z / (1 + z ** 2 / total) * Math.sqrt(p * (1 - p) / total + z ** 2 / (4 * total ** 2));
+  return { lower: Math.max(0, center - margin), upper: Math.min(1, center + margin) };
+}
+
+// Clopper-Pearson ("exact") interval for the proportion cases / total
+// returns { lower, upper } (proportions 0-1)
+export function clopperPearsonInterval(cases, total, confidence = 0.95) {
+  let alpha = 1 - confidence;
+  // the x where incompleteBeta(x, a, b) = target (found by bisection)
+  let inverse = (target, a, b) => {
+    let low = 0, high = 1;
+    for (let i = 0; i < 60; i++) {
+      let mid = (low + high) / 2;
+      incompleteBeta(mid, a, b) < target ? (low = mid) : (high = mid);
+    }
+    return (low + high) / 2;
+  };
+  return {
+    lower: cases === 0 ? 0 : inverse(alpha / 2, cases, total - cases + 1),
+    upper: cases === total ? 1 : inverse(1 - alpha / 2, cases + 1, total - cases)
+  };
+}
+
+// a proportion with its confidence interval: { value, lower, upper, unit }
+// (value is null if total is 0)
+// - options: method ('wilson' or 'clopper-pearson'), confidence (0.95),
+//   scale (1 = proportion, 100 = percent - then unit is '%')
+// (tableFromData and drawGoogleChart know how to show these)
+export function proportionInterval(cases, total, { method = 'wilson', confidence = 0.95, scale = 1 } = {}) {
+  let { lower, upper } = (method === 'clopper-pearson' ?
+    clopperPearsonInterval : wilsonInterval)(cases, total, confidence);
+  return {
+    value: total ? cases / total * scale : null,
+    lower: lower * scale,
+    upper: upper * scale,
+    unit: scale === 100 ? '%' : ''
+  };
+}
+
+// true if x is an interval { value, lower, upper } (e.g. from proportionInterval)
+export function isInterval(x) {
+  return x !== null && typeof x === 'object' && 'lower' in x && 'upper' in x;
+}
+
+// copy rows, replacing the value in column key with a proportionInterval
+// of cases / total (options: as proportionInterval + the keys for readRows)
+export function withProportionIntervals(rows, key, options = {}) {
+  let groups = readRows(rows, options);
+  return rows.map((row, i) => ({
+    ...row, [key]: proportionInterval(groups[i].cases, groups[i].total, options)
+  }));
+}
+
+// format a p-value, e.g. 'p < 0.001' or 'p = 0.032'
+export function formatPValue(pValue) {
+  return pValue < 0.001 ? 'p < 0.001' : 'p = ' + pValue.toFixed(3);
+}
+
+// describe a test result in one line,
+// e.g. 'Chi-square-test: χ²(3) = 245.12, p < 0.001, Cramérs V = 0.09'
+export function describeTest({ test, statistic, df, pValue, effectSize, effectSizeName }) {
+  let name = test.startsWith('Envägs-ANOVA') ? 'F' : test.startsWith('Kruskal') ? 'H' : 'χ²';
+  return `${test}: ${name}(${[df].flat().join(', ')}) = ${statistic.toFixed(2)}, ` +
+    `${formatPValue(pValue)}, ${effectSizeName} = ${effectSize.toFixed(3)}`;
+}
@@ -1,6 +1,19 @@
 import addToPage from './addToPage.js'
+import { exportButtons } from './exportData.js';
+import { filterDescription } from './filters.js';
+import { isInterval } from './stats.js';
 
 // note: expecting data to be an array of objects
+// - a value can also be an interval { value, lower, upper, unit }
+//   (see proportionInterval in stats.js), shown as "59,5% (58,4–60,6)"
+//   (always with one decimal, and as – if there is no value)
+// - title (optional): a caption above the table
+//   (the active filters are shown there too, see filters.js)
+// - filtered (default true): false if the data did not go through
+//   the filters (e.g. dbQuery with { filter: false }), then they are not shown
+// - cellStyle (optional): function(value, columnIndex, rowIndex)
+//   returning css for a cell (e.g. a background color for a heatmap)
+// - below the table are buttons for exporting it (see exportData.js)
 export default function tableFromData({
   data,
   numberFormatLocale = 'sv-SE',
@@ -8,9 +21,17 @@ export default function tableFromData({
     minimumFractionDigits: 0,
     maximumFractionDigits: 2,
   },
-  columnNames = []
+  columnNames = [],
+  title = '',
+  filtered = true,
+  cellStyle
 }) {
   let nFormat = Intl.NumberFormat(numberFormatLocale, numberFormatOptions);
+  let iFormat = Intl.NumberFormat(numberFormatLocale, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  let isNumeric = x => isInterval(x) || !isNaN(x);
+  let format = x => isInterval(x) ? (x.value === null ? '–' :
+    `${iFormat.format(x.value)}${x.unit || ''} (${iFormat.format(x.lower)}–${iFormat.format(x.upper)})`) :
+    isNaN(x) ? x : x === null ? null : nFormat.format(x);
   // expect all objects to have the same keys, 
   // so read the keys from the first element
   let entries = Object.entries(data[0]);
@@ -18,18 +39,24 @@ export default function tableFromData({
   while (columnNames.length) {
     entries[count++][0] = columnNames.shift();
   }
-  let html = '<div class="table-responsive"><table class="table table-striped"><thead><tr>';
+  let filters = filtered && filterDescription();
+  let caption = [title, filters && (title ? `(${filters})` : `Filter: ${filters}`)].filter(x => x).join(' ');
+  let html = '<div class="table-responsive"><table class="table table-striped">'
+    + (caption ? `<caption class="caption-top">${caption}</caption>` : '') + '<thead><tr>';
   html += entries.map(x => `<th class="`
-    + (isNaN(x[1]) ? '' : 'right') + `">${x[0]}</th>`).join('');
+    + (isNumeric(x[1]) ? 'right' : '') + `">${x[0]}</th>`).join('');
   html += '</tr><tbody>';
-  for (let row of data) {
+  data.forEach((row, rowIndex) => {
     html += '<tr>';
-    for (let columnValue of Object.values(row)) {
+    Object.values(row).forEach((columnValue, columnIndex) => {
+      let style = cellStyle ? cellStyle(columnValue, columnIndex, rowIndex) : '';
       html += `<td class="`
-        + (isNaN(columnValue) ? '' : 'right') + `">${isNaN(columnValue) ? columnValue : columnValue === null ? null : nFormat.format(columnValue)}</td>`;
-    }
+        + (isNumeric(columnValue) ? 'right' : '') + `"`
+        + (style ? ` style="${style}"` : '') + `>${format(columnValue)}</td>`;
+    });
     html += '</tr>';
-  }
+  });
   html += '</tbody></table></div>'
+  html += exportButtons('table', { columns: entries.map(x => x[0]), rows: data.map(x => Object.values(x)) });
   addToPage(html);
 }
\ No newline at end of file
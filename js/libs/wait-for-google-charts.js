@@ -1,14 +1,33 @@
 // ironboy:
-// wait for Google Charts to load, using top level await 
+// wait for Google Charts to load, using top level await
 // so that we don't need callbacks in our main app
 // + provide shorthand alias for google.vizualization - gv
 //   and google.vizualization.arrayToDataTable - gv.toTable
+// - without internet gv is null (and googleChartsError says why),
+//   drawGoogleChart then draws with Chart.js instead
 
 import jload from "./jload.js";
 
-let gv;
+// the Google Charts loader (added here, so that it does not block the page)
+const loaderUrl = 'https://www.gstatic.com/charts/loader.js';
+// how long to wait for Google Charts, including the loader (ms)
+const timeout = 5000;
+
+let gv = null;
+export let googleChartsError = null;
+
+function loadLoader() {
+  return globalThis.google?.charts ? Promise.resolve() : new Promise((resolve, reject) => {
+    let script = document.createElement('script');
+    script.src = loaderUrl;
+    script.onload = resolve;
+    script.onerror = () => reject(new Error('the Google Charts loader could not be loaded'));
+    document.head.append(script);
+  });
+}
+
 async function waiter() {
-  let settings = await jload('chartSettings.json');
+  let [settings] = await Promise.all([jload('chartSettings.json'), loadLoader()]);
   return new Promise(resolve => {
     google.charts.load('current', settings);
     google.charts.setOnLoadCallback(() => {
@@ -18,6 +37,15 @@ async function waiter() {
     });
   });
 }
-await waiter();
 
-export default gv;
\ No newline at end of file
+let timer;
+await Promise.race([
+  waiter(),
+  new Promise((_resolve, reject) => timer = setTimeout(
+    () => reject(new Error(`Google Charts did not load within ${timeout / 1000} seconds`)), timeout))
+]).catch(e => {
+  googleChartsError = e.message;
+  console.warn('Google Charts: ' + e.message);
+}).finally(() => clearTimeout(timer));
+
+export default gv;
@@ -0,0 +1,87 @@
+import addMdToPage from './libs/addMdToPage.js';
+import dbQuery from './libs/dbQuery.js';
+import drawGoogleChart from './libs/drawGoogleChart.js';
+import logisticRegression, { regressionParams, regressionQuery } from './libs/logisticRegression.js';
+import { formatPValue } from './libs/stats.js';
+import tableFromData from './libs/tableFromData.js';
+import * as factors from './factors.js';
+
+addMdToPage(`
+## Multivariat analys (logistisk regression)
+
+Sidorna för de enskilda faktorerna jämför en faktor i taget.
+Här skattas alla faktorers samband med depression samtidigt,
+så att varje oddskvot är justerad för de andra faktorerna.
+`);
+
+let predictors = [
+  factors.academicPressure,
+  factors.financialStress,
+  factors.sleepDuration,
+  factors.dietaryHabits,
+  factors.familyMentalHistory,
+  { column: 'gender', order: ['Female', 'Male'], labels: { Female: 'Kvinna', Male: 'Man' }, groupName: 'Kön' },
+  { column: 'age', groupName: 'Ålder (per år)', numeric: true }
+];
+
+let rows = await dbQuery(regressionQuery(predictors), regressionParams(predictors));
+if (!rows.length) {
+  addMdToPage('*Inga studenter matchar filtret.*');
+}
+else {
+  let result;
+  try {
+    result = logisticRegression(rows, { predictors });
+  }
+  catch (e) {
+    console.warn(e);
+    addMdToPage(`*Modellen kan inte skattas för de studenter som matchar filtret
+(t.ex. om alla eller ingen av dem har depression).*`);
+  }
+  result && showResult(result);
+}
+
+function showResult(result) {
+  let coefficients = result.coefficients.filter(x => x.term !== 'Intercept');
+
+  drawGoogleChart({
+    type: 'LineChart',
+    data: [
+      ['Faktor', 'Oddskvot (95 % KI)'],
+      ...coefficients.map(({ term, oddsRatio, lower, upper }) => [term, { value: oddsRatio, lower, upper }])
+    ],
+    options: {
+      title: 'Justerade oddskvoter för depression (95 % konfidensintervall)',
+      height: 120 + 28 * coefficients.length,
+      width: 1000,
+      orientation: 'vertical',
+      lineWidth: 0,
+      pointSize: 8,
+      intervals: { style: 'bars' },
+      legend: 'none',
+      chartArea: { left: 300 },
+      hAxis: { title: 'Oddskvot (logaritmisk skala)', logScale: true, baseline: 1 }
+    }
+  });
+
+  tableFromData({
+    data: coefficients.map(({ term, estimate, standardError, oddsRatio, lower, upper, pValue }) => ({
+      term, estimate, standardError, oddsRatio: { value: oddsRatio, lower, upper }, pValue: formatPValue(pValue)
+    })),
+    numberFormatOptions: { minimumFractionDigits: 2, maximumFractionDigits: 2 },
+    columnNames: ['Faktor', 'Koefficient', 'Standardfel', 'Oddskvot (95 % KI)', 'p-värde']
+  });
+
+  addMdToPage(`
+### Tolkning
+
+En oddskvot över 1 betyder högre odds för depression än i referensgruppen,
+när de andra faktorerna hålls konstanta. Referensgrupper:
+${result.references.map(x => x.term).join(', ')}.
+
+McFaddens pseudo-R² = ${result.pseudoR2.toFixed(3)}
+${result.converged ? '' : '  \n**Obs!** Skattningen konvergerade inte - tolka resultaten med försiktighet.'}
+
+*Data baserad på ${result.n} studenter*
+  `);
+}
@@ -1,59 +1,107 @@
 import addMdToPage from './libs/addMdToPage.js';
+import dbQuery from './libs/dbQuery.js';
 import drawGoogleChart from './libs/drawGoogleChart.js';
+import { factorQuery } from './libs/createFactorPage.js';
+import { chiSquareIndependence, describeTest, formatPValue, hasResult, proportionInterval } from './libs/stats.js';
 import tableFromData from './libs/tableFromData.js';
+import * as factors from './factors.js';
 
 // 1. Huvudrubrik med social kontext
+let [total] = await dbQuery(`
+  SELECT COUNT(*) AS antal, SUM(depression) AS depressiva
+  FROM student_depression
+`);
+
 addMdToPage(`
 ## Översikt: Samband mellan faktorer och depression
 
 ### Bakgrund
-Analysen baseras på data från 27,883 indiska studenter. 
+Analysen baseras på data från ${total.antal.toLocaleString('sv-SE')} indiska studenter,
+varav ${(total.antal ? total.depressiva / total.antal * 100 : 0).toFixed(1)}% har depression.
 Det indiska utbildningssystemets press (JEE/NEET-prov, studieavgifter) skapar unika stressmönster.
 `);
 
-// 2. Helhetsanalys
-const summaryData = [
-  { faktor: 'Sömnbrist', procent: 64.5, trend: '↑↑', notering: 'Starkast samband' },
-  { faktor: 'Studiepress (nivå 4-5)', procent: 82.1, trend: '↑↑↑', notering: 'Kritisk nivå' },
-  { faktor: 'Ekonomisk stress', procent: 58.7, trend: '↑', notering: 'Korrelation med deltidsarbete' }
-];
+// 2. Helhetsanalys - beräknad från databasen för varje faktor:
+// kategorin med högst andel depression, skillnaden mot den lägsta och ett chi-square-test
+let summaryData = [];
+for (let factor of Object.values(factors)) {
+  let { name, order, labels = {}, groupName } = factor;
+  let rows = await dbQuery(factorQuery(factor), order ? [...order, ...order] : undefined);
+  rows = rows.filter(x => x.antal > 0);
+  if (rows.length < 2) { continue; }
+  let rate = x => x.depressiva / x.antal;
+  let highest = rows.reduce((a, b) => rate(a) >= rate(b) ? a : b);
+  let lowest = rows.reduce((a, b) => rate(a) <= rate(b) ? a : b);
+  let label = x => `${groupName}: ${labels[x.kategori] ?? x.kategori}`;
+  summaryData.push({
+    name,
+    highest: label(highest), highestRow: highest,
+    highestRate: proportionInterval(highest.depressiva, highest.antal),
+    lowest: label(lowest),
+    lowestRate: proportionInterval(lowest.depressiva, lowest.antal),
+    test: chiSquareIndependence(rows, { group: 'kategori', total: 'antal', cases: 'depressiva' })
+  });
+}
+// starkast samband först (faktorer utan testresultat sist)
+let effectSize = x => hasResult(x.test) ? x.test.effectSize : -1;
+summaryData.sort((a, b) => effectSize(b) - effectSize(a));
+let tested = summaryData.filter(x => hasResult(x.test));
+let strongest = tested[0];
+let percent = x => (x * 100).toFixed(1) + '%';
+let spread = x => ((x.highestRate.value - x.lowestRate.value) * 100).toFixed(1);
 
 addMdToPage(`
 ### Nyckelresultat (Sammanfattning)
 
-${summaryData.map(item => `
-- **${item.faktor}**: ${item.procent}% depression  
-  *Trend*: ${item.trend} | ${item.notering}`).join('')}
+${summaryData.length ? summaryData.map(x => `
+- **${x.name}**: ${percent(x.highestRate.value)} depression (${x.highest})  
+  *Lägst*: ${percent(x.lowestRate.value)} (${x.lowest}) | *Skillnad*: ${spread(x)} procentenheter`).join('') :
+  '*För få studenter för att jämföra kategorierna.*'}
+
+${strongest ? `**Starkast samband**: ${strongest.name} (Cramérs V = ${strongest.test.effectSize.toFixed(3)})
 
-**Statistisk signifikans**:  
-Alla samband är signifikanta (p < 0.001, Chi-square-test)  
+**Statistisk signifikans**:
+
+${tested.map(({ name, test }) => `- **${name}**: ${describeTest(test)}`).join('\n')}` : ''}
 `);
 
-// 3. Jämförelsediagram
-const comparisonData = [
-  ['Faktor', 'Depression (%)', { role: 'style' }],
-  ['Sömnbrist', 64.5, '#4285F4'],
-  ['Studiepress', 82.1, '#EA4335'],
-  ['Ekonomi', 58.7, '#FBBC05']
-];
-
-drawGoogleChart({
-  type: 'BarChart',
-  data: comparisonData,
-  options: {
-    title: 'Jämförelse av depressionsfrekvens',
-    vAxis: { title: 'Procent depression' },
-    hAxis: { title: 'Riskfaktor' },
-    legend: 'none'
-  }
-});
-
-// 4. Detaljerad tabell
-tableFromData({
-  data: summaryData,
-  columnNames: ['Faktor', 'Procent', 'Trend', 'Notering'],
-  title: 'Riskfaktorsöversikt'
-});
+if (summaryData.length) {
+  // 3. Jämförelsediagram
+  drawGoogleChart({
+    type: 'BarChart',
+    data: [
+      ['Faktor', 'Högst andel depression'],
+      ...summaryData.map(x => [`${x.name} (${x.highest})`, x.highestRate])
+    ],
+    options: {
+      title: 'Kategorin med högst depressionsfrekvens per faktor',
+      height: 120 + 50 * summaryData.length,
+      width: 1000,
+      chartArea: { left: 350 },
+      hAxis: { title: 'Procent depression', format: '#,##%', viewWindow: { min: 0, max: 1 } },
+      vAxis: { title: 'Riskfaktor' },
+      legend: 'none'
+    }
+  });
+
+  // 4. Detaljerad tabell
+  tableFromData({
+    data: summaryData.map(x => ({
+      name: x.name,
+      highest: x.highest,
+      highestRate: proportionInterval(x.highestRow.depressiva, x.highestRow.antal, { scale: 100 }),
+      lowest: x.lowest,
+      spread: +spread(x),
+      ...(hasResult(x.test) ?
+        { statistic: x.test.statistic, pValue: formatPValue(x.test.pValue), effectSize: x.test.effectSize } :
+        { statistic: '–', pValue: '–', effectSize: '–' })
+    })),
+    columnNames: ['Faktor', 'Högst andel', 'Depression (95 % KI)', 'Lägst andel',
+      'Skillnad (procentenheter)', 'χ²', 'p-värde', 'Cramérs V'],
+    numberFormatOptions: { minimumFractionDigits: 1, maximumFractionDigits: 3 },
+    title: 'Riskfaktorsöversikt'
+  });
+}
 
 // 5. Social kontextanalys
 addMdToPage(`
@@ -61,15 +109,15 @@ addMdToPage(`
 
 1. **Ekonomi**:  
    - 62% av studenter arbetar deltid (källor: NSSO 2019)  
-   - Genomsnittlig studieavgift: ₹25,000/termin (privata universitet)
+   - Genomsnittlig studieavgift: ₹25,000/termin (privata universitet)  
 
 2. **Studiepress**:  
    - 1.5 miljoner sökande/år för 11,000 IIT-platser  
-   - Självmordsstatistik: 1 student/55 minuter (NCRB 2022)
+   - Självmordsstatistik: 1 student/55 minuter (NCRB 2022)  
 
 3. **Sömn**:  
    - 68% sover <6 timmar under tentaperioder  
-   - Kaffe-/energidryckskonsumtion: +300% senaste decenniet
+   - Kaffe-/energidryckskonsumtion: +300% senaste decenniet  
 `);
 
 // 6. Rekommendationer
@@ -84,4 +132,4 @@ addMdToPage(`
 - Reform av antagningssystem  
 - Skatteavdrag för studieavgifter  
 - Obligatorisk psykisk hälsoundervisning  
-`);
\ No newline at end of file
+`);
@@ -0,0 +1,115 @@
+import addDropdown from './libs/addDropdown.js';
+import addMdToPage from './libs/addMdToPage.js';
+import dbQuery from './libs/dbQuery.js';
+import drawGoogleChart from './libs/drawGoogleChart.js';
+import { factorQuery } from './libs/createFactorPage.js';
+import { cramersV, mutualInformation, oddsRatio, pointBiserial } from './libs/stats.js';
+import tableFromData from './libs/tableFromData.js';
+import * as factors from './factors.js';
+
+addMdToPage(`
+## Rangordning av riskfaktorer
+
+Vilken variabel har starkast samband med depression? Här jämförs alla
+variabler med fyra olika mått på sambandets styrka:
+
+- **Cramérs V** (0–1): styrkan i chi-square-testet, oberoende av antalet kategorier
+- **Oddskvot**: oddsen för depression i kategorin med högst andel jämfört med kategorin med lägst andel
+- **Ömsesidig information** (bitar): hur mycket osäkerheten om depression minskar när man känner till variabeln
+- **Punktbiseriell korrelation** (r): korrelationen mellan variabelns värde (i kategoriernas ordning) och depression
+`);
+
+let candidates = [
+  factors.academicPressure,
+  factors.financialStress,
+  factors.sleepDuration,
+  factors.dietaryHabits,
+  factors.familyMentalHistory,
+  factors.suicidalThoughts,
+  { name: 'Kön', column: 'gender', order: ['Female', 'Male'], labels: { Female: 'Kvinna', Male: 'Man' } },
+  factors.ageBand,
+  factors.cgpaBand
+];
+
+// the measures for each variable
+let keys = { group: 'kategori', total: 'antal', cases: 'depressiva' };
+let ranking = [];
+for (let { name, column, expression, order, labels = {} } of candidates) {
+  let rows = (await dbQuery(factorQuery({ column, expression, order }), order ? [...order, ...order] : undefined))
+    .filter(x => x.antal > 0);
+  if (rows.length < 2) { continue; }
+  let rate = x => x.depressiva / x.antal;
+  let highest = rows.reduce((a, b) => rate(a) >= rate(b) ? a : b);
+  let lowest = rows.reduce((a, b) => rate(a) <= rate(b) ? a : b);
+  let label = x => labels[x.kategori] ?? x.kategori;
+  ranking.push({
+    name,
+    cramersV: cramersV(rows, keys),
+    oddsRatio: oddsRatio(highest.depressiva, highest.antal, lowest.depressiva, lowest.antal),
+    comparison: `${label(highest)} mot ${label(lowest)}`,
+    mutualInformation: mutualInformation(rows, keys),
+    pointBiserial: pointBiserial(rows, keys)
+  });
+}
+
+// the measures to sort by (value) and to show in the chart (chart, default value)
+let measures = {
+  'Cramérs V': { value: x => x.cramersV },
+  'Oddskvot': { value: x => x.oddsRatio.value, chart: x => x.oddsRatio },
+  'Ömsesidig information': { value: x => x.mutualInformation },
+  'Punktbiseriell korrelation': { value: x => Math.abs(x.pointBiserial), chart: x => x.pointBiserial }
+};
+
+function showRanking(measure) {
+  let { value, chart = value } = measures[measure];
+  let sorted = [...ranking].sort((a, b) => value(b) - value(a));
+
+  drawGoogleChart({
+    type: 'BarChart',
+    data: [
+      ['Variabel', measure],
+      ...sorted.map(x => [x.name, chart(x)])
+    ],
+    options: {
+      title: `Variablernas samband med depression (${measure})`,
+      height: 120 + 40 * sorted.length,
+      width: 1000,
+      chartArea: { left: 200 },
+      hAxis: { title: measure, ...(measure === 'Oddskvot' ? { baseline: 1 } : {}) },
+      legend: 'none'
+    }
+  });
+
+  tableFromData({
+    data: sorted.map((x, i) => ({
+      rank: i + 1,
+      name: x.name,
+      cramersV: x.cramersV,
+      oddsRatio: x.oddsRatio,
+      comparison: x.comparison,
+      mutualInformation: x.mutualInformation,
+      pointBiserial: x.pointBiserial
+    })),
+    columnNames: ['Rang', 'Variabel', 'Cramérs V', 'Oddskvot (95 % KI)', 'Jämförelse',
+      'Ömsesidig information (bitar)', 'Punktbiseriell korrelation'],
+    numberFormatOptions: { minimumFractionDigits: 0, maximumFractionDigits: 4 },
+    title: 'Rangordning efter ' + measure
+  });
+
+  let [first, second] = sorted;
+  addMdToPage(`
+**Starkast samband (${measure}):** ${first.name}${second ? `, följt av ${second.name}` : ''}.
+
+*Punktbiseriell korrelation: ett positivt r betyder högre andel depression
+i de senare kategorierna (t.ex. högre nivåer), rangordningen använder |r|.*
+`);
+}
+
+// draws the ranking below the dropdown, and again on change
+// (no variable has two categories with students if the filter matches no one)
+if (!ranking.length) {
+  addMdToPage('*Inga studenter matchar filtret.*');
+}
+else {
+  addDropdown('Sortera efter', Object.keys(measures), 'Cramérs V', showRanking);
+}
@@ -0,0 +1,8 @@
+import createFactorPage from './libs/createFactorPage.js';
+import { suicidalThoughts } from './factors.js';
+
+await createFactorPage({
+  ...suicidalThoughts,
+  title: 'Självmordstankar och depression',
+  intro: 'Analys av sambandet mellan självmordstankar och depression bland studenter.'
+});
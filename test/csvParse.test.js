@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import csvParse, { csvParseWithReport } from '../js/libs/csvParse.js';
+
+test('quoted fields with separators, quotes and line breaks', () => {
+  let data = csvParse('name,comment\n"Doe, Jane","said ""hi""\nand left"\n');
+  assert.deepEqual(data, [{ name: 'Doe, Jane', comment: 'said "hi"\nand left' }]);
+});
+
+test('a byte order mark and CRLF line endings are ignored', () => {
+  let { columns, data } = csvParseWithReport('\uFEFFa;b\r\n1;2\r\n', ';');
+  assert.deepEqual(columns, ['a', 'b']);
+  assert.deepEqual(data, [{ a: 1, b: 2 }]);
+});
+
+test('types are inferred per column and empty values become null', () => {
+  let { data, types } = csvParseWithReport(
+    'n,flag,day,text,zip\n1.5,true,2024-01-31,x,01234\n,FALSE,2024-02-01,2,99999\n',
+    { types: { zip: 'string' } }
+  );
+  assert.deepEqual(types, { n: 'number', flag: 'boolean', day: 'date', text: 'string', zip: 'string' });
+  assert.equal(data[0].n, 1.5);
+  assert.equal(data[1].n, null);
+  assert.equal(data[1].flag, false);
+  assert.ok(data[0].day instanceof Date);
+  assert.equal(data[1].text, '2');
+  assert.equal(data[0].zip, '01234');
+});
+
+test('inferTypes: false keeps all values as strings', () => {
+  assert.deepEqual(csvParse('a,b\n1,\n', { inferTypes: false }), [{ a: '1', b: '' }]);
+});
+
+test('rows with the wrong number of fields are reported against the header', () => {
+  let { columns, data, errors } = csvParseWithReport('a,b\n1,2,3\n4\n5,6\n');
+  assert.deepEqual(columns, ['a', 'b']);
+  assert.deepEqual(data[1], { a: 4, b: null });
+  assert.deepEqual(errors, [
+    { row: 2, message: 'Expected 2 fields, found 3' },
+    { row: 3, message: 'Expected 2 fields, found 1' }
+  ]);
+});
+
+test('without a header the columns are named after the widest row', () => {
+  let { columns, errors } = csvParseWithReport('1,2\n3,4,5\n', { header: false, columns: ['x'] });
+  assert.deepEqual(columns, ['x', 'column2', 'column3']);
+  assert.deepEqual(errors, [{ row: 1, message: 'Expected 3 fields, found 2' }]);
+});
+
+test('unclosed quotes and stray characters after a quote are reported', () => {
+  assert.deepEqual(csvParseWithReport('a\n"x"y\n').errors,
+    [{ row: 2, message: 'Unexpected character y in a quoted field' }]);
+  assert.deepEqual(csvParseWithReport('a\n"x\n').errors,
+    [{ row: 2, message: 'Quoted field not closed before end of file' }]);
+});
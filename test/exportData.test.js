@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+// exportData.js listens for clicks on the export buttons in the document,
+// and uses stats.js, that reads jerzy from window
+globalThis.window ??= globalThis;
+globalThis.document ??= new JSDOM('<!DOCTYPE html><body></body>').window.document;
+(0, eval)(fs.readFileSync(new URL('../js/libs/jerzy-loader.js', import.meta.url), 'utf-8'));
+const { toCsv, toXlsx } = await import('../js/libs/exportData.js');
+const { default: csvParse } = await import('../js/libs/csvParse.js');
+
+const columns = ['Sömnkategori', 'Antal', 'Procent (95 % KI)'];
+const rows = [
+  ['Kort, "sömn"', 10, { value: 59.5, lower: 58.4, upper: 60.6, unit: '%' }],
+  ['<b>x</b> &amp; y<br>z', null, null]
+];
+
+// the files in a zip file without compression (as written by toXlsx)
+function unzip(bytes) {
+  let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let decoder = new TextDecoder(), files = {}, position = 0;
+  while (view.getUint32(position, true) === 0x04034b50) {
+    assert.equal(view.getUint16(position + 8, true), 0, 'stored, not compressed');
+    let size = view.getUint32(position + 18, true);
+    assert.equal(view.getUint32(position + 22, true), size);
+    let nameLength = view.getUint16(position + 26, true), extraLength = view.getUint16(position + 28, true);
+    let start = position + 30 + nameLength + extraLength;
+    files[decoder.decode(bytes.subarray(position + 30, position + 30 + nameLength))] =
+      decoder.decode(bytes.subarray(start, start + size));
+    position = start + size;
+  }
+  return files;
+}
+
+test('toCsv splits intervals into three columns and removes html', () => {
+  assert.equal(toCsv(columns, rows), [
+    'Sömnkategori,Antal,Procent (95 % KI),Procent (95 % KI) nedre,Procent (95 % KI) övre',
+    '"Kort, ""sömn""",10,59.5,58.4,60.6',
+    'x & y z,,,,',
+    ''
+  ].join('\r\n'));
+});
+
+test('toCsv can be read back with csvParse', () => {
+  let data = csvParse(toCsv(columns, rows));
+  assert.equal(data.length, 2);
+  assert.equal(data[0]['Sömnkategori'], 'Kort, "sömn"');
+  assert.equal(data[0]['Procent (95 % KI) övre'], 60.6);
+  assert.equal(data[1]['Antal'], null);
+});
+
+test('toXlsx gives a zip with a workbook and one sheet', () => {
+  let files = unzip(toXlsx(columns, rows, 'Sömn & depression'));
+  assert.deepEqual(Object.keys(files), [
+    '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml',
+    'xl/_rels/workbook.xml.rels', 'xl/worksheets/sheet1.xml'
+  ]);
+  assert.match(files['xl/workbook.xml'], /<sheet name="Sömn &amp; depression"/);
+  let sheet = files['xl/worksheets/sheet1.xml'];
+  assert.equal(sheet.match(/<row /g).length, 3);
+  assert.match(sheet, /<c r="E1" t="inlineStr"><is><t xml:space="preserve">Procent \(95 % KI\) övre<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="B2"><v>10<\/v><\/c><c r="C2"><v>59.5<\/v><\/c>/);
+  assert.match(sheet, /<t xml:space="preserve">Kort, &quot;sömn&quot;<\/t>/);
+  assert.match(sheet, /<t xml:space="preserve">x &amp; y z<\/t><\/is><\/c><\/row>/);
+});
+
+test('toXlsx names columns after Z as in Excel', () => {
+  let many = Array.from({ length: 28 }, (_x, i) => 'k' + i);
+  let sheet = unzip(toXlsx(many, [many.map((_x, i) => i)]))['xl/worksheets/sheet1.xml'];
+  assert.match(sheet, /<c r="Z2"><v>25<\/v><\/c><c r="AA2"><v>26<\/v><\/c><c r="AB2"><v>27<\/v><\/c>/);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+// logisticRegression.js uses stats.js, that reads jerzy from window
+globalThis.window ??= globalThis;
+(0, eval)(fs.readFileSync(new URL('../js/libs/jerzy-loader.js', import.meta.url), 'utf-8'));
+const { default: logisticRegression, regressionQuery, regressionParams } =
+  await import('../js/libs/logisticRegression.js');
+
+const gender = { column: 'gender', order: ['Female', 'Male'], groupName: 'Kön' };
+const age = { column: 'age', groupName: 'Ålder', numeric: true };
+
+test('one categorical predictor gives the odds ratio of the 2x2 table', () => {
+  let rows = [
+    { gender: 'Female', antal: 100, depressiva: 20 },
+    { gender: 'Male', antal: 100, depressiva: 50 }
+  ];
+  let result = logisticRegression(rows, { predictors: [gender] });
+  let male = result.coefficients.find(x => x.term === 'Kön: Male');
+  assert.ok(result.converged);
+  assert.ok(Math.abs(male.oddsRatio - (50 / 50) / (20 / 80)) < 1e-6);
+  assert.ok(male.lower < male.oddsRatio && male.oddsRatio < male.upper);
+  assert.deepEqual(result.references, [{ column: 'gender', term: 'Kön: Female' }]);
+  assert.equal(result.n, 200);
+  assert.equal(result.cases, 70);
+});
+
+test('a numeric predictor gives one term', () => {
+  let rows = [18, 20, 22, 24].map((age, i) => ({ age, antal: 50, depressiva: 10 + 5 * i }));
+  let result = logisticRegression(rows, { predictors: [age] });
+  assert.deepEqual(result.coefficients.map(x => x.term), ['Intercept', 'Ålder']);
+  assert.ok(result.coefficients[1].estimate > 0);
+});
+
+test('predictors with only one value with students are left out', () => {
+  let rows = [
+    { gender: 'Female', age: 20, antal: 100, depressiva: 20 },
+    { gender: 'Male', age: 20, antal: 0, depressiva: 0 },
+    { gender: 'Male', age: 21, antal: 0, depressiva: 0 },
+    { gender: 'Female', age: 20, antal: 50, depressiva: 30 }
+  ];
+  let result = logisticRegression(rows, { predictors: [gender, age] });
+  assert.deepEqual(result.coefficients.map(x => x.term), ['Intercept']);
+  assert.deepEqual(result.references, []);
+});
+
+test('throws without both cases and non-cases', () => {
+  assert.throws(() => logisticRegression([], { predictors: [gender] }), /cases and non-cases/);
+  assert.throws(() => logisticRegression([
+    { gender: 'Female', antal: 10, depressiva: 10 },
+    { gender: 'Male', antal: 10, depressiva: 10 }
+  ], { predictors: [gender] }), /cases and non-cases/);
+});
+
+test('throws if the predictors are linearly dependent', () => {
+  let rows = [
+    { gender: 'Female', sex: 'F', antal: 100, depressiva: 20 },
+    { gender: 'Male', sex: 'M', antal: 100, depressiva: 50 }
+  ];
+  assert.throws(() => logisticRegression(rows, { predictors: [gender, { column: 'sex' }] }), /linearly dependent/);
+});
+
+test('regressionQuery binds the order values as parameters', () => {
+  let sql = regressionQuery([gender, age]);
+  assert.match(sql, /"gender" IN \(\?, \?\)/);
+  assert.match(sql, /GROUP BY "gender", "age"/);
+  assert.deepEqual(regressionParams([gender, age]), ['Female', 'Male']);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+// stats.js reads jerzy from window (loaded by a script tag in the browser)
+globalThis.window ??= globalThis;
+(0, eval)(fs.readFileSync(new URL('../js/libs/jerzy-loader.js', import.meta.url), 'utf-8'));
+const {
+  chiSquareTest, chiSquareIndependence, chiSquareTrend, anova, kruskalWallis, hasResult,
+  wilsonInterval, clopperPearsonInterval, proportionInterval
+} = await import('../js/libs/stats.js');
+
+test('chiSquareTest of a 2x2 table', () => {
+  let result = chiSquareTest([[10, 20], [30, 40]]);
+  assert.equal(result.df, 1);
+  assert.ok(Math.abs(result.statistic - 0.7937) < 1e-4);
+  assert.ok(Math.abs(result.pValue - 0.3730) < 1e-4);
+  assert.ok(hasResult(result));
+});
+
+test('chiSquareTest has no result for an empty or single-row table', () => {
+  for (let table of [[], [[0, 0], [0, 0]], [[10, 20]], [[10, 20], [0, 0]], [[10, 0], [30, 0]]]) {
+    let result = chiSquareTest(table);
+    assert.equal(result.df, 0);
+    assert.ok(Number.isNaN(result.statistic));
+    assert.ok(Number.isNaN(result.pValue));
+    assert.ok(Number.isNaN(result.effectSize));
+    assert.ok(!hasResult(result));
+  }
+});
+
+test('chiSquareIndependence and chiSquareTrend have no result without students', () => {
+  assert.ok(!hasResult(chiSquareIndependence([])));
+  assert.ok(!hasResult(chiSquareTrend([])));
+  assert.ok(!hasResult(chiSquareTrend([{ group: 1, total: 10, cases: 3 }])));
+});
+
+test('anova and kruskalWallis ignore groups without students', () => {
+  let rows = [
+    { group: 'a', total: 40, cases: 10 },
+    { group: 'b', total: 0, cases: 0 },
+    { group: 'c', total: 60, cases: 30 }
+  ];
+  for (let test of [anova, kruskalWallis]) {
+    let result = test(rows);
+    assert.ok(hasResult(result));
+    assert.deepEqual(result, test(rows.filter(x => x.total)));
+  }
+  assert.equal(kruskalWallis(rows).df, 1);
+});
+
+test('anova and kruskalWallis have no result with fewer than two groups', () => {
+  for (let rows of [
+    [],
+    [{ group: 'a', total: 40, cases: 10 }],
+    [{ group: 'a', total: 40, cases: 10 }, { group: 'b', total: 0, cases: 0 }],
+    [{ group: 'a', total: 40, cases: 0 }, { group: 'b', total: 20, cases: 0 }]
+  ]) {
+    for (let test of [anova, kruskalWallis]) {
+      let result = test(rows);
+      assert.equal(result.df, 0);
+      assert.ok(!hasResult(result));
+    }
+  }
+});
+
+test('intervals for a proportion without students', () => {
+  assert.deepEqual(wilsonInterval(0, 0), { lower: 0, upper: 1 });
+  assert.deepEqual(clopperPearsonInterval(0, 0), { lower: 0, upper: 1 });
+  assert.equal(proportionInterval(0, 0).value, null);
+});